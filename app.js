@@ -25,6 +25,7 @@ class BreadboardApp {
         this.picoPins = PICO_PINS; // NEW
         
         this.wires = [];
+        this.netlist = null;       // Cached electrical nets (rebuilt lazily)
         this.selectedPoint = null; // Renamed from selectedHole
         this.tempWire = null;
         this.showLabels = false;
@@ -35,6 +36,9 @@ class BreadboardApp {
         // Guided wiring system (initialized after DOM is ready)
         this.guidedWiring = null;
 
+        // Re-validates the board as it changes (initialized after the circuit loader)
+        this.liveValidator = null;
+
         this.init();
     }
     
@@ -42,6 +46,7 @@ async init() {
     await this.loadComponentMetadata(); // NEW - Load pico.json
     this.circuitLoader = new CircuitLoader(this);
     await this.circuitLoader.init();
+    this.liveValidator = new LiveValidator(this);
     this.guidedWiring = new GuidedWiringManager(this); // Initialize guided wiring
     this.renderHoles();
     this.renderPicoPins(); // NEW
@@ -209,6 +214,12 @@ async init() {
             this.toggleLabels();
         });
 
+        document.getElementById('toggle-live-validation')?.addEventListener('click', (e) => {
+            const enabled = !this.liveValidator.enabled;
+            this.liveValidator.setEnabled(enabled);
+            e.currentTarget.textContent = `🩺 Live Check: ${enabled ? 'On' : 'Off'}`;
+        });
+
         // Circuit import/export buttons
     document.getElementById('load-circuit-btn')?.addEventListener('click', () => {
         document.getElementById('circuit-file-input').click();
@@ -218,16 +229,29 @@ async init() {
         const file = e.target.files[0];
         if (file) {
             try {
-                const text = await file.text();
-                const json = JSON.parse(text);
-                
+                let json;
+                let notImported = [];
+
+                if (/\.fzz?$/i.test(file.name)) {
+                    // Fritzing sketch - convert to circuit JSON first
+                    const imported = await this.circuitLoader.importFritzing(await file.arrayBuffer(), file.name);
+                    imported.warnings.forEach(warning => console.warn(`⚠ ${warning}`));
+                    json = imported.circuitJSON;
+                    notImported = imported.unmapped;
+                } else {
+                    json = JSON.parse(await file.text());
+                }
+
                 console.log('📁 Loading circuit from file:', file.name);
                 const result = await this.circuitLoader.loadCircuit(json);
-                
+                const skipped = notImported.length > 0
+                    ? ` (${notImported.length} Fritzing part(s) not imported: ${notImported.map(entry => entry.title).join(', ')})`
+                    : '';
+
                 if (result.success) {
-                    this.infoPanel.textContent = `✅ Circuit loaded: ${result.components} components, ${result.wires} wires`;
+                    this.infoPanel.textContent = `✅ Circuit loaded: ${result.components} components, ${result.wires} wires${skipped}`;
                 } else {
-                    this.infoPanel.textContent = `❌ Circuit loaded with ${result.errors.length} errors`;
+                    this.infoPanel.textContent = `❌ Circuit loaded with ${result.errors.length} errors${skipped}`;
                 }
             } catch (error) {
                 this.infoPanel.textContent = `❌ Error loading circuit: ${error.message}`;
@@ -241,24 +265,71 @@ async init() {
     document.getElementById('export-circuit-btn')?.addEventListener('click', () => {
         const circuit = this.circuitLoader.exportCircuit();
         const json = JSON.stringify(circuit, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `circuit-${Date.now()}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+        this.downloadFile(json, `circuit-${Date.now()}.json`, 'application/json');
         this.infoPanel.textContent = '✅ Circuit exported';
     });
 
+    document.getElementById('export-spice-btn')?.addEventListener('click', async () => {
+        try {
+            const deck = await this.circuitLoader.exportSpice();
+            this.downloadFile(deck, `circuit-${Date.now()}.cir`, 'text/plain');
+            this.infoPanel.textContent = '✅ SPICE deck exported';
+        } catch (error) {
+            this.infoPanel.textContent = `❌ SPICE export failed: ${error.message}`;
+            console.error('SPICE export error:', error);
+        }
+    });
+
+    document.getElementById('export-kicad-btn')?.addEventListener('click', async () => {
+        try {
+            const { netlist, schematic } = await this.circuitLoader.exportKiCad();
+            const name = `circuit-${Date.now()}`;
+            this.downloadFile(netlist, `${name}.net`, 'text/plain');
+            this.downloadFile(schematic, `${name}.kicad_sch`, 'text/plain');
+            this.infoPanel.textContent = '✅ KiCad netlist and schematic exported';
+        } catch (error) {
+            this.infoPanel.textContent = `❌ KiCad export failed: ${error.message}`;
+            console.error('KiCad export error:', error);
+        }
+    });
+
+    document.getElementById('export-fritzing-btn')?.addEventListener('click', async () => {
+        try {
+            const bundle = await this.circuitLoader.exportFritzing();
+            this.downloadFile(bundle, `circuit-${Date.now()}.fzz`, 'application/zip');
+            this.infoPanel.textContent = '✅ Fritzing sketch exported';
+        } catch (error) {
+            this.infoPanel.textContent = `❌ Fritzing export failed: ${error.message}`;
+            console.error('Fritzing export error:', error);
+        }
+    });
+
+    document.getElementById('export-bom-btn')?.addEventListener('click', async () => {
+        try {
+            const { csv, html, unresolved } = await this.circuitLoader.exportBom(this.liveValidator.validator);
+            const name = `bom-${Date.now()}`;
+            this.downloadFile(csv, `${name}.csv`, 'text/csv');
+            this.downloadFile(html, `${name}.html`, 'text/html');
+            this.infoPanel.textContent = unresolved.length > 0
+                ? `⚠ Bill of materials exported - not in the component library: ${unresolved.join(', ')}`
+                : '✅ Bill of materials exported';
+        } catch (error) {
+            this.infoPanel.textContent = `❌ BOM export failed: ${error.message}`;
+            console.error('BOM export error:', error);
+        }
+    });
+
     }
     
     handleHoleHover(holeElement) {
         const hole = holeElement._holeData;
         const typeInfo = hole.type === 'main' ? 'Main Grid' : 
                         hole.type === 'power' ? 'Power Rail (+)' : 'Ground Rail (-)';
+        const net = this.getNetlist()?.getNetForHole(hole.id);
+        const netInfo = net ? ` | Net: ${net.name} (${net.pins.join(', ') || 'no pins'})` : '';
         this.infoPanel.textContent = 
-            `Hole: ${hole.id} | Type: ${typeInfo} | Position: (${hole.x.toFixed(2)}, ${hole.y.toFixed(2)}) | Bus: ${hole.bus}`;
+            `Hole: ${hole.id} | Type: ${typeInfo} | Position: (${hole.x.toFixed(2)}, ${hole.y.toFixed(2)}) | Bus: ${hole.bus}${netInfo}` +
+            this.describeLiveFindings(hole.id);
     }
     
     handlePinHover(pinElement) {
@@ -273,15 +344,26 @@ async init() {
                             meta.electricalType;
             
             const pwmInfo = meta.pwmCapable ? ` | PWM: ${meta.pwmChannel}` : '';
+            const net = this.getNetlist()?.getNetForPin(pin.id);
+            const netInfo = net ? ` | Net: ${net.name}` : '';
             
             this.infoPanel.textContent = 
-                `Pin: ${meta.name} (${meta.number}) | ${typeInfo}${pwmInfo} | ${meta.description}`;
+                `Pin: ${meta.name} (${meta.number}) | ${typeInfo}${pwmInfo}${netInfo} | ${meta.description}` +
+                this.describeLiveFindings(pin.id);
         } else {
             this.infoPanel.textContent = 
                 `Pin: ${pin.id} | Position: (${pin.x.toFixed(2)}, ${pin.y.toFixed(2)})`;
         }
     }
 
+    // " | ❌ [SHORT_CIRCUIT] ..." for live findings on a hole or pin
+    describeLiveFindings(pointId) {
+        const findings = this.liveValidator?.getFindingsFor(pointId) || [];
+        return findings
+            .map(f => ` | ${f.severity === 'error' ? '❌' : '⚠️'} [${f.type}] ${f.message}`)
+            .join('');
+    }
+
     handleHoleClick(holeElement) {
         this.handleConnectionPointClick(holeElement, holeElement._holeData);
     }
@@ -402,10 +484,12 @@ async init() {
             toCoords: { x: endPoint.x, y: endPoint.y },
             waypoints: options.waypoints || [],
             routingMode: options.routingMode || 'straight',
-            description: options.description || null
+            description: options.description || null,
+            properties: options.properties || null  // e.g. { color } from circuit JSON, used by the BOM
         };
         
         this.wires.push(wire);
+        this.invalidateNetlist({ type: 'wire', id: wire.id, endpoints: [wire.from, wire.to] });
         this.renderWire(wire);
         this.updateWireCount();
         
@@ -475,6 +559,7 @@ getConnectionElement(pointId) {
         });
         
         this.wires = [];
+        this.invalidateNetlist({ type: 'reset' });
         this.wiresLayer.innerHTML = '';
         
         // Remove connected class from all connection points
@@ -491,6 +576,29 @@ getConnectionElement(pointId) {
 
 
     
+    /**
+     * Electrical nets for the current board (cached until wires/components change)
+     * @returns {Netlist|null} Null until the circuit loader is ready
+     */
+    getNetlist() {
+        if (!this.circuitLoader) return null;
+        if (!this.netlist) {
+            this.netlist = this.circuitLoader.getNetlist();
+        }
+        return this.netlist;
+    }
+
+    /**
+     * Drop the cached nets after a board change and let live validation re-check it
+     * @param {Object} change - { type: 'wire'|'component', id, endpoints } or { type: 'reset' }
+     */
+    invalidateNetlist(change = null) {
+        this.netlist = null;
+        if (change) {
+            this.liveValidator?.scheduleValidation(change);
+        }
+    }
+
     toggleLabels() {
         this.showLabels = !this.showLabels;
         document.querySelectorAll('.label').forEach(label => {
@@ -510,6 +618,17 @@ getConnectionElement(pointId) {
             timestamp: new Date().toISOString()
         };
     }
+
+    // Save text or bytes through a temporary download link
+    downloadFile(data, filename, mimeType) {
+        const blob = new Blob([data], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
 }
 
 // Helper: Mark hole as physically occupied
@@ -0,0 +1,272 @@
+// bom-generator.js
+// Bill of materials (CSV and printable HTML) for packing lesson parts kits
+
+/**
+ * BomGenerator - Counts the parts and jumper wires a circuit needs
+ *
+ * - Components are grouped by type and value (resistance or LED color from the component
+ *   JSON, or a circuit's own properties.resistance); the preplaced Pico is counted too
+ * - Jumper wires are grouped by the kit jumper CircuitValidator.measureWires() picks for
+ *   their laid-out length, and by color (properties.color)
+ * - merge() adds BOMs of several circuits into one kit total for a unit
+ *
+ * BOM shape:
+ *   { title, sources: ['lesson1', ...],
+ *     parts: [{ type, name, value, package, quantity, refs, sources }],
+ *     wires: [{ label, jumperType, length, color, quantity, refs, sources }],
+ *     unresolved: ['x1 (mystery-part)', ...] }   // listed with value "unknown" - not in the library
+ */
+class BomGenerator {
+    constructor(options = {}) {
+        this.options = {
+            preplaced: { pico1: 'raspberry-pi-pico' },  // id -> type of parts that are not in components
+            ...options
+        };
+    }
+
+    /**
+     * BOM for one circuit
+     * @param {Object} circuit - The "circuit" object (metadata, components, wires)
+     * @param {Map} componentDefs - componentId -> component definition, including pico1
+     * @param {Array} jumpers - CircuitValidator.measureWires() result for the circuit
+     * @param {string} source - Circuit name shown in merged BOMs (usually the file name)
+     */
+    build(circuit, componentDefs, jumpers, source = circuit.metadata?.name || 'circuit') {
+        const parts = new Map();
+        const wires = new Map();
+
+        const unresolved = [];
+        const listed = new Set((circuit.components || []).map(comp => comp.id));
+        const components = Object.entries(this.options.preplaced)
+            .filter(([id]) => !listed.has(id))
+            .map(([id, type]) => ({ id, type }))
+            .concat(circuit.components || []);
+
+        components.forEach(comp => {
+            const def = componentDefs.get(comp.id);
+            const type = comp.type || 'unknown type';
+            if (!def) unresolved.push(`${comp.id} (${type})`);
+
+            const value = def ? this.partValue(def, comp) : 'unknown';
+            const key = `${type}|${value}`;
+
+            if (!parts.has(key)) {
+                parts.set(key, {
+                    type,
+                    name: def ? this.decodeEntities(def.metadata?.name || comp.id) : type,
+                    value,
+                    package: this.decodeEntities(def?.properties?.package || ''),
+                    quantity: 0,
+                    refs: [],
+                    sources: [source]
+                });
+            }
+            const row = parts.get(key);
+            row.quantity++;
+            row.refs.push(comp.id);
+        });
+
+        jumpers.forEach(wire => {
+            const circuitWire = (circuit.wires || []).find(w => w.id === wire.wireId);
+            const color = circuitWire?.properties?.color || circuitWire?.color || 'unspecified';
+            const jumper = wire.jumper || {
+                type: 'too-long',
+                length: Math.ceil(wire.length),
+                label: `${Math.ceil(wire.length)}mm - longer than the kit allows`
+            };
+            const key = `${jumper.label}|${color}`;
+
+            if (!wires.has(key)) {
+                wires.set(key, {
+                    label: jumper.label,
+                    jumperType: jumper.type,
+                    length: jumper.length,
+                    color,
+                    quantity: 0,
+                    refs: [],
+                    sources: [source]
+                });
+            }
+            const row = wires.get(key);
+            row.quantity++;
+            row.refs.push(wire.wireId);
+        });
+
+        const unmeasured = (circuit.wires || []).length - jumpers.length;
+        if (unmeasured > 0) {
+            console.warn(`⚠ BOM: ${unmeasured} wire(s) with an end that can't be located are not counted`);
+        }
+
+        return this.sortRows({
+            title: source,
+            sources: [source],
+            parts: Array.from(parts.values()),
+            wires: Array.from(wires.values()),
+            unresolved
+        });
+    }
+
+    /**
+     * Add several BOMs into one kit total - references become "source/ref"
+     */
+    merge(boms, title = 'Kit total') {
+        const merged = { title, sources: [], parts: new Map(), wires: new Map(), unresolved: [] };
+
+        boms.forEach(bom => {
+            bom.sources.forEach(source => {
+                if (!merged.sources.includes(source)) merged.sources.push(source);
+            });
+            const qualify = ref => bom.sources.length === 1 ? `${bom.sources[0]}/${ref}` : ref;
+            merged.unresolved.push(...(bom.unresolved || []).map(qualify));
+
+            [['parts', row => `${row.type}|${row.value}`], ['wires', row => `${row.label}|${row.color}`]]
+                .forEach(([section, keyOf]) => {
+                    bom[section].forEach(row => {
+                        const key = keyOf(row);
+                        if (!merged[section].has(key)) {
+                            merged[section].set(key, { ...row, quantity: 0, refs: [], sources: [] });
+                        }
+                        const total = merged[section].get(key);
+                        total.quantity += row.quantity;
+                        total.refs.push(...row.refs.map(qualify));
+                        row.sources.forEach(source => {
+                            if (!total.sources.includes(source)) total.sources.push(source);
+                        });
+                    });
+                });
+        });
+
+        return this.sortRows({
+            title,
+            sources: merged.sources,
+            parts: Array.from(merged.parts.values()),
+            wires: Array.from(merged.wires.values()),
+            unresolved: merged.unresolved
+        });
+    }
+
+    // ============================================================
+    // OUTPUT
+    // ============================================================
+
+    /**
+     * One table: components first, then jumper wires
+     */
+    toCSV(bom) {
+        const rows = [['Section', 'Type', 'Item', 'Value', 'Package / Color', 'Quantity', 'References', 'Circuits']];
+
+        bom.parts.forEach(row => rows.push([
+            'Component', row.type, row.name, row.value, row.package, row.quantity, row.refs.join(' '), row.sources.join(' ')
+        ]));
+        bom.wires.forEach(row => rows.push([
+            'Jumper wire', row.jumperType, row.label, `${row.length}mm`, row.color, row.quantity, row.refs.join(' '), row.sources.join(' ')
+        ]));
+
+        return rows.map(row => row.map(field => this.csvField(field)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Standalone page with a "packed" checkbox column, laid out for printing
+     */
+    toHTML(bom) {
+        const e = value => this.escapeHTML(value);
+        const table = (headers, rows) => [
+            '<table>',
+            `<thead><tr>${headers.map(header => `<th>${e(header)}</th>`).join('')}</tr></thead>`,
+            '<tbody>',
+            ...rows.map(cells => `<tr><td class="check">☐</td>${cells.map(cell =>
+                `<td${typeof cell === 'number' ? ' class="qty"' : ''}>${e(cell)}</td>`).join('')}</tr>`),
+            '</tbody>',
+            '</table>'
+        ].join('\n');
+
+        const partCount = bom.parts.reduce((sum, row) => sum + row.quantity, 0);
+        const wireCount = bom.wires.reduce((sum, row) => sum + row.quantity, 0);
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Bill of materials - ${e(bom.title)}</title>
+<style>
+    body { font-family: Arial, sans-serif; margin: 24px; color: #222; }
+    h1 { font-size: 20px; margin-bottom: 4px; }
+    h2 { font-size: 16px; margin-top: 24px; }
+    .sources { color: #666; font-size: 13px; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+    th { background: #f0f0f0; }
+    td.qty { text-align: right; font-weight: bold; }
+    td.check { width: 16px; text-align: center; }
+    @media print { body { margin: 0; } th { background: none; } }
+</style>
+</head>
+<body>
+<h1>Bill of materials - ${e(bom.title)}</h1>
+<p class="sources">Circuits: ${e(bom.sources.join(', '))}</p>
+<h2>Components (${partCount})</h2>
+${table(['✓', 'Item', 'Value', 'Package', 'Qty', 'References'],
+        bom.parts.map(row => [row.name, row.value, row.package, row.quantity, row.refs.join(', ')]))}
+<h2>Jumper wires (${wireCount})</h2>
+${table(['✓', 'Jumper', 'Color', 'Qty', 'Wires'],
+        bom.wires.map(row => [row.label, row.color, row.quantity, row.refs.join(', ')]))}
+</body>
+</html>
+`;
+    }
+
+    // ============================================================
+    // HELPERS
+    // ============================================================
+
+    /**
+     * Value printed on the part: resistance, LED color, or nothing
+     */
+    partValue(def, comp) {
+        const resistance = comp?.properties?.resistance ?? def.properties?.resistance;
+        if (typeof resistance === 'number') {
+            return resistance >= 1000 ? `${resistance / 1000}kΩ` : `${resistance}Ω`;
+        }
+        return this.decodeEntities(def.properties?.color || '');
+    }
+
+    sortRows(bom) {
+        bom.parts.sort((a, b) => a.type.localeCompare(b.type) || a.value.localeCompare(b.value));
+        bom.wires.sort((a, b) => a.jumperType.localeCompare(b.jumperType) || a.length - b.length ||
+            a.color.localeCompare(b.color));
+        return bom;
+    }
+
+    csvField(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Component JSON keeps Fritzing's entities ("220 &#8486; Resistor")
+     */
+    decodeEntities(value) {
+        return String(value)
+            .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+            .replace(/&amp;/g, '&');
+    }
+}
+
+// Make BomGenerator globally available
+if (typeof window !== 'undefined') {
+    window.BomGenerator = BomGenerator;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BomGenerator;
+}
@@ -7,6 +7,12 @@ const BREADBOARD_CONFIG = {
         // Reference to DOM element
         svg_element_id: "breadboard-image",
         expected_position: null,  // Disable position validation
+
+        // Position used when there is no DOM (Node.js scripts) - matches index.html
+        default_position: {
+            x: 100,
+            y: 20
+        },
         
         // Dimensions and internal structure (LLM-readable)
         dimensions: {
@@ -61,6 +67,10 @@ const BREADBOARD_CONFIG = {
 
 // Initialize: Read actual position from DOM and validate
 function initializeBreadboard() {
+    if (typeof document === 'undefined') {
+        return { ...BREADBOARD_CONFIG.breadboard.default_position };
+    }
+
     const img = document.getElementById(BREADBOARD_CONFIG.breadboard.svg_element_id);
     
     if (!img) {
@@ -186,3 +196,15 @@ function getBreadboardBounds() {
 }
 
 console.log('Breadboard data generated:', BREADBOARD_HOLES.length, 'holes');
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BREADBOARD_CONFIG,
+        BREADBOARD_HOLES,
+        initializeBreadboard,
+        generateBreadboardData,
+        getAbsolutePosition,
+        getBreadboardBounds
+    };
+}
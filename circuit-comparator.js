@@ -0,0 +1,476 @@
+// circuit-comparator.js
+// Netlist equivalence - is a candidate build wired the same as a reference circuit?
+
+/**
+ * CircuitComparator - Compares two circuits on their extracted netlists, so holes,
+ * columns, rails and wire routing don't matter
+ *
+ * Each circuit is reduced to nets of terminals: part pins plus Pico pins (every GND pin
+ * counts as the same terminal). Candidate parts are then matched to reference parts of
+ * the same kind (validation.electricalType) so that as many terminal pairs as possible
+ * share a net:
+ * - component ids don't have to agree (r1 may be "resistor_a" in the candidate)
+ * - two-pin parts may be turned around; for polarized parts that is reported
+ * - the GPIOs may differ (GP10 instead of GP15) unless options.strictPins is set
+ *
+ * Whatever the best match leaves over is reported in createError/createWarning shape,
+ * located in the candidate circuit (pointer, pinIds, holeIds):
+ *   COMPONENT_MISSING / COMPONENT_EXTRA     error   - no counterpart of that kind
+ *   CONNECTION_MISSING / CONNECTION_EXTRA   error   - pins joined in only one of the circuits
+ *   POLARITY_SWAPPED                        error   - polarized part turned around
+ *   COMPONENT_TYPE_DIFFERS                  warning - same kind, other part (blue vs red LED)
+ *   GPIO_REASSIGNED                         warning - same wiring on another GPIO
+ * The circuits are equivalent when no errors remain.
+ */
+class CircuitComparator {
+    constructor(validator, options = {}) {
+        this.validator = validator;
+        this.options = {
+            strictPins: false,
+            ...options
+        };
+    }
+
+    /**
+     * @param {Object} reference - Circuit JSON ({ circuit: {...} }) to compare against
+     * @param {Object} candidate - Circuit JSON of the build being checked
+     * @returns {Object} { equivalent, componentMap: { refId: candId }, gpioMap: { refPin: candPin },
+     *                     differences: [], errors: [], warnings: [] }
+     */
+    async compare(reference, candidate) {
+        if (!this.validator.componentLibrary && !await this.validator.init()) {
+            throw new Error('Failed to load component library');
+        }
+
+        const ref = await this.describe(reference.circuit);
+        const cand = await this.describe(candidate.circuit);
+        const match = this.matchUnits(ref, cand);
+
+        const differences = this.validator.attachSourceLocations(candidate, [
+            ...this.compareUnits(ref, cand, match),
+            ...this.compareConnections(ref, cand, match)
+        ]);
+
+        const componentMap = {};
+        const gpioMap = {};
+        match.forEach(({ cand: candId }, refId) => {
+            const unit = ref.units.get(refId);
+            (unit.kind === CircuitComparator.GPIO_KIND ? gpioMap : componentMap)[refId] = candId;
+        });
+
+        const errors = differences.filter(d => d.severity === 'error');
+        const warnings = differences.filter(d => d.severity === 'warning');
+
+        console.log(errors.length === 0
+            ? `✓ Circuits are equivalent (${warnings.length} warning(s))`
+            : `⚠ Circuits differ: ${errors.length} difference(s)`);
+
+        return {
+            equivalent: errors.length === 0,
+            componentMap,
+            gpioMap,
+            differences,
+            errors,
+            warnings
+        };
+    }
+
+    // ============================================================
+    // NETLIST DESCRIPTION
+    // ============================================================
+
+    /**
+     * Matchable units (parts, and GPIOs unless strictPins) and nets of terminal keys
+     * @returns {Object} { units: Map id -> unit, nets: [[key]], netOf: Map key -> net index, terminals: Map key -> { unitId, pin } }
+     */
+    async describe(circuit) {
+        const netlist = this.validator.buildNetlist(circuit);
+        const boards = this.validator.preplacedComponents;
+        const units = new Map();
+        const terminals = new Map();
+
+        for (const comp of circuit.components || []) {
+            if (boards.has(comp.id)) continue;
+
+            const def = await this.loadDefinition(comp.type);
+            const unit = {
+                id: comp.id,
+                type: comp.type,
+                kind: def?.validation?.electricalType || comp.type,
+                polarized: def?.validation?.polarity === 'polarized',
+                pins: Object.keys(comp.placement || {})
+            };
+            units.set(unit.id, unit);
+            unit.pins.forEach(pin => terminals.set(`${comp.id}.${pin}`, { unitId: comp.id, pin }));
+        }
+
+        const nets = [];
+        for (const net of netlist.nets) {
+            const keys = new Set();
+
+            for (const ref of net.pins) {
+                const [compId, pinName] = ref.split('.');
+                if (!boards.has(compId)) {
+                    if (units.has(compId)) keys.add(ref);
+                    continue;
+                }
+
+                const pinDef = (await this.loadDefinition(boards.get(compId)))?.pins?.[pinName];
+                if (pinDef?.electricalType === 'ground') {
+                    keys.add(`${compId}.GND`);
+                } else if (pinDef?.electricalType === 'gpio' && !this.options.strictPins) {
+                    // A GPIO is matched like a one-pin part
+                    if (!units.has(ref)) {
+                        units.set(ref, { id: ref, type: 'gpio', kind: CircuitComparator.GPIO_KIND, polarized: false, pins: [''] });
+                        terminals.set(ref, { unitId: ref, pin: '' });
+                    }
+                    keys.add(ref);
+                } else {
+                    keys.add(ref);
+                }
+            }
+
+            if (keys.size > 0) nets.push(Array.from(keys));
+        }
+
+        const netOf = new Map();
+        nets.forEach((keys, index) => keys.forEach(key => netOf.set(key, index)));
+
+        return { units, nets, netOf, terminals };
+    }
+
+    async loadDefinition(type) {
+        try {
+            return await this.validator.loadComponent(type);
+        } catch (error) {
+            return null;   // Unknown types are compared by type name
+        }
+    }
+
+    // ============================================================
+    // MATCHING
+    // ============================================================
+
+    /**
+     * Pair candidate units with reference units of the same kind, maximising the
+     * number of terminal pairs that share a net in both circuits
+     * @returns {Map} refId -> { cand: candId, flipped }
+     */
+    matchUnits(ref, cand) {
+        const match = new Map();
+        const byKind = units => {
+            const groups = new Map();
+            units.forEach(unit => {
+                if (!groups.has(unit.kind)) groups.set(unit.kind, []);
+                groups.get(unit.kind).push(unit);
+            });
+            return groups;
+        };
+        const candByKind = byKind(cand.units);
+
+        // Start from equal ids, then pair the rest in order
+        byKind(ref.units).forEach((refUnits, kind) => {
+            const free = [...(candByKind.get(kind) || [])];
+            const take = unit => free.splice(free.indexOf(unit), 1);
+
+            refUnits.forEach(refUnit => {
+                const same = free.find(unit => unit.id === refUnit.id);
+                if (same) {
+                    take(same);
+                    match.set(refUnit.id, { cand: same.id, flipped: false });
+                }
+            });
+            refUnits.filter(refUnit => !match.has(refUnit.id)).forEach(refUnit => {
+                if (free.length > 0) {
+                    match.set(refUnit.id, { cand: free.shift().id, flipped: false });
+                }
+            });
+        });
+
+        // Hill-climb: turn parts around, swap partners, use unmatched candidates
+        let best = this.score(ref, cand, match);
+        const attempt = changes => {
+            const saved = changes.map(([refId]) => [refId, match.get(refId)]);
+            changes.forEach(([refId, value]) => match.set(refId, value));
+
+            const score = this.score(ref, cand, match);
+            if (score > best) {
+                best = score;
+                return true;
+            }
+            saved.forEach(([refId, value]) => match.set(refId, value));
+            return false;
+        };
+        const orientations = unit => unit.pins.length === 2 ? [false, true] : [false];
+
+        let improved = true;
+        while (improved) {
+            improved = false;
+            const matched = Array.from(match.keys());
+
+            matched.forEach(refId => {
+                const { cand: candId, flipped } = match.get(refId);
+                if (ref.units.get(refId).pins.length === 2) {
+                    improved = attempt([[refId, { cand: candId, flipped: !flipped }]]) || improved;
+                }
+            });
+
+            matched.forEach((refA, i) => {
+                matched.slice(i + 1).forEach(refB => {
+                    const unitA = ref.units.get(refA);
+                    const unitB = ref.units.get(refB);
+                    if (unitA.kind !== unitB.kind) return;
+
+                    const candA = match.get(refA).cand;
+                    const candB = match.get(refB).cand;
+                    orientations(unitA).forEach(flipA => orientations(unitB).forEach(flipB => {
+                        improved = attempt([
+                            [refA, { cand: candB, flipped: flipA }],
+                            [refB, { cand: candA, flipped: flipB }]
+                        ]) || improved;
+                    }));
+                });
+            });
+
+            const used = new Set(Array.from(match.values(), value => value.cand));
+            matched.forEach(refId => {
+                const unit = ref.units.get(refId);
+                (candByKind.get(unit.kind) || []).filter(other => !used.has(other.id)).forEach(other => {
+                    orientations(unit).forEach(flipped => {
+                        const previous = match.get(refId).cand;
+                        if (attempt([[refId, { cand: other.id, flipped }]])) {
+                            used.delete(previous);
+                            used.add(other.id);
+                            improved = true;
+                        }
+                    });
+                });
+            });
+        }
+
+        return match;
+    }
+
+    /**
+     * Terminal pairs that share a net in both circuits under a match
+     */
+    score(ref, cand, match) {
+        const translate = this.translator(ref, cand, match);
+        const counts = new Map();
+
+        cand.nets.forEach((keys, candNet) => {
+            keys.forEach(key => {
+                const refNet = ref.netOf.get(translate(key));
+                if (refNet === undefined) return;
+
+                const bucket = `${candNet}:${refNet}`;
+                counts.set(bucket, (counts.get(bucket) || 0) + 1);
+            });
+        });
+
+        let pairs = 0;
+        counts.forEach(count => { pairs += count * (count - 1) / 2; });
+        return pairs;
+    }
+
+    /**
+     * Function mapping a candidate terminal key to the matching reference terminal key
+     * (candidate parts without a partner keep a key the reference never uses)
+     */
+    translator(ref, cand, match) {
+        const partnerOf = new Map();
+        match.forEach(({ cand: candId, flipped }, refId) => {
+            partnerOf.set(candId, { refUnit: ref.units.get(refId), flipped });
+        });
+
+        return key => {
+            const terminal = cand.terminals.get(key);
+            if (!terminal) return key;   // Power and ground pins are the same in both circuits
+
+            const partner = partnerOf.get(terminal.unitId);
+            if (!partner) return `candidate:${key}`;
+
+            const refPin = this.mapPin(partner.refUnit, cand.units.get(terminal.unitId), terminal.pin, partner.flipped);
+            return refPin ? `${partner.refUnit.id}.${refPin}` : partner.refUnit.id;
+        };
+    }
+
+    /**
+     * Reference pin for a candidate pin - by name when both parts use the same names,
+     * by position otherwise; flipped two-pin parts swap them
+     */
+    mapPin(refUnit, candUnit, pin, flipped) {
+        const sameNames = refUnit.pins.length === candUnit.pins.length &&
+            candUnit.pins.every(name => refUnit.pins.includes(name));
+        const index = sameNames ? refUnit.pins.indexOf(pin) : candUnit.pins.indexOf(pin);
+
+        return refUnit.pins[flipped && refUnit.pins.length === 2 ? 1 - index : index];
+    }
+
+    // ============================================================
+    // DIFFERENCES
+    // ============================================================
+
+    compareUnits(ref, cand, match) {
+        const differences = [];
+        const matchedCands = new Set(Array.from(match.values(), value => value.cand));
+
+        ref.units.forEach(unit => {
+            if (unit.kind === CircuitComparator.GPIO_KIND || match.has(unit.id)) return;
+
+            differences.push(this.validator.createError('COMPONENT_MISSING', unit.id,
+                `Reference part ${unit.id} (${unit.type}) has no counterpart in the build`,
+                { reference: unit.id, kind: unit.kind, pointer: '/circuit/components' }
+            ));
+        });
+
+        cand.units.forEach(unit => {
+            if (unit.kind === CircuitComparator.GPIO_KIND || matchedCands.has(unit.id)) return;
+
+            differences.push(this.validator.createError('COMPONENT_EXTRA', unit.id,
+                `${unit.id} (${unit.type}) is not part of the reference circuit`,
+                { kind: unit.kind }
+            ));
+        });
+
+        match.forEach(({ cand: candId, flipped }, refId) => {
+            const refUnit = ref.units.get(refId);
+            const candUnit = cand.units.get(candId);
+
+            if (refUnit.kind === CircuitComparator.GPIO_KIND) {
+                if (refId !== candId) {
+                    differences.push(this.validator.createWarning('GPIO_REASSIGNED', candId,
+                        `The build uses ${candId.split('.')[1]} where the reference uses ${refId.split('.')[1]} - the code must use the same pin`,
+                        { reference: refId, pins: [candId] }
+                    ));
+                }
+                return;
+            }
+
+            if (refUnit.type !== candUnit.type) {
+                differences.push(this.validator.createWarning('COMPONENT_TYPE_DIFFERS', candId,
+                    `${candId} is a ${candUnit.type}, the reference ${refId} is a ${refUnit.type}`,
+                    { reference: refId, expectedType: refUnit.type, actualType: candUnit.type }
+                ));
+            }
+
+            if (flipped && refUnit.polarized) {
+                differences.push(this.validator.createError('POLARITY_SWAPPED', candId,
+                    `${candId} is turned around: its ${candUnit.pins.join(' and ')} are wired where the reference ${refId} has ` +
+                    `${candUnit.pins.map(pin => this.mapPin(refUnit, candUnit, pin, true)).join(' and ')}`,
+                    { reference: refId, pins: candUnit.pins.map(pin => `${candId}.${pin}`) }
+                ));
+            }
+        });
+
+        return differences;
+    }
+
+    /**
+     * Split each net by where its terminals ended up in the other circuit; every piece
+     * but the largest is a missing (reference nets) or extra (candidate nets) connection
+     */
+    compareConnections(ref, cand, match) {
+        const differences = [];
+        const translate = this.translator(ref, cand, match);
+        const candKeyOf = new Map();
+        cand.nets.flat().forEach(key => candKeyOf.set(translate(key), key));
+
+        // Terminals of parts without a counterpart are already reported
+        const compared = key => {
+            const terminal = ref.terminals.get(key);
+            return !terminal || ref.units.get(terminal.unitId).kind === CircuitComparator.GPIO_KIND ||
+                match.has(terminal.unitId);
+        };
+        const comparedCandidate = key => {
+            if (!key.startsWith('candidate:')) return true;
+            const terminal = cand.terminals.get(candKeyOf.get(key));
+            return cand.units.get(terminal.unitId).kind === CircuitComparator.GPIO_KIND;
+        };
+        const candNetOf = new Map();
+        cand.nets.forEach((keys, index) => keys.forEach(key => candNetOf.set(translate(key), index)));
+
+        ref.nets.forEach(keys => {
+            const pieces = this.split(keys.filter(compared), key => candNetOf.get(key));
+            this.minorPieces(pieces).forEach(piece => {
+                const main = pieces[0];
+                const pins = piece.map(key => candKeyOf.get(key)).filter(Boolean);
+                differences.push(this.validator.createError('CONNECTION_MISSING', this.ownerOf(pins),
+                    `${this.describeTerminals(piece, candKeyOf)} should be connected to ${this.describeTerminals(main, candKeyOf)}`,
+                    { terminals: piece, connectTo: main, pins }
+                ));
+            });
+        });
+
+        cand.nets.forEach(keys => {
+            const translated = keys.map(translate).filter(comparedCandidate);
+            const pieces = this.split(translated, key => ref.netOf.get(key));
+            this.minorPieces(pieces).forEach(piece => {
+                const main = pieces[0];
+                const pins = piece.map(key => candKeyOf.get(key)).filter(Boolean);
+                differences.push(this.validator.createError('CONNECTION_EXTRA', this.ownerOf(pins),
+                    `${this.describeTerminals(piece, candKeyOf)} is connected to ${this.describeTerminals(main, candKeyOf)} - ` +
+                    'the reference keeps them apart',
+                    { terminals: piece, connectedTo: main, pins }
+                ));
+            });
+        });
+
+        return differences;
+    }
+
+    /**
+     * Group keys by the net they belong to elsewhere (keys with no net stand alone),
+     * largest group first - board pins win ties so the message names the supply or GPIO
+     */
+    split(keys, netOf) {
+        const groups = new Map();
+        keys.forEach((key, i) => {
+            const net = netOf(key);
+            const group = net === undefined ? `alone:${i}` : net;
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(key);
+        });
+
+        const hasBoardPin = piece => piece.some(key => this.validator.preplacedComponents.has(key.split('.')[0]));
+        return Array.from(groups.values()).sort((a, b) =>
+            (b.length - a.length) || (hasBoardPin(b) - hasBoardPin(a))
+        );
+    }
+
+    minorPieces(pieces) {
+        return pieces.length > 1 ? pieces.slice(1) : [];
+    }
+
+    /**
+     * Candidate part a difference belongs to (its first part pin, else its first board pin)
+     */
+    ownerOf(pins) {
+        const partPin = pins.find(ref => !this.validator.preplacedComponents.has(ref.split('.')[0]));
+        return (partPin || pins[0] || 'circuit').split('.')[0];
+    }
+
+    /**
+     * "r1.pin1, led1.anode" in candidate names; Pico pins as "GP15", "GND"
+     */
+    describeTerminals(keys, candKeyOf) {
+        return keys.map(key => {
+            const name = candKeyOf.get(key) || key;
+            const [compId, pinName] = name.split('.');
+            return this.validator.preplacedComponents.has(compId) ? pinName : name;
+        }).join(', ');
+    }
+}
+
+// Kind given to GPIO pins so they can be matched like parts
+CircuitComparator.GPIO_KIND = 'gpio-pin';
+
+// Make CircuitComparator globally available
+if (typeof window !== 'undefined') {
+    window.CircuitComparator = CircuitComparator;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CircuitComparator;
+}
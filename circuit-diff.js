@@ -0,0 +1,278 @@
+// circuit-diff.js
+// Electrical diff between two versions of a circuit, and its breadboard overlay
+
+/**
+ * CircuitDiff - What changed between two circuit JSON files, in breadboard terms
+ *
+ * Components and wires are matched by id. Wires whose id changed but that still join the
+ * same two points count as unchanged (regenerated files often renumber wires).
+ * Nets are compared on the pins present in both versions:
+ *   merged - pins that were on separate nets now share one
+ *   split  - pins that shared a net are now on separate nets
+ *
+ * diff() returns:
+ *   {
+ *     components: { added: [], removed: [], moved: [{ id, type, pins: [{ pin, from, to }] }], retyped: [{ id, from, to }] },
+ *     wires:      { added: [], removed: [], rewired: [{ id, before, after, ends: [{ end, from, to }] }] },
+ *     nets:       { merged: [{ net, from: [names], pins: [] }], split: [{ net, into: [names], pins: [] }] },
+ *     changes:    [{ type, id, message }]     // everything above as one readable list
+ *   }
+ */
+class CircuitDiff {
+    constructor(validator) {
+        this.validator = validator;
+    }
+
+    /**
+     * @param {Object} before - Circuit JSON ({ circuit: {...} }) of the earlier version
+     * @param {Object} after - Circuit JSON of the new version
+     */
+    diff(before, after) {
+        const oldCircuit = before.circuit;
+        const newCircuit = after.circuit;
+
+        const result = {
+            components: this.diffComponents(oldCircuit.components || [], newCircuit.components || []),
+            wires: this.diffWires(oldCircuit.wires || [], newCircuit.wires || []),
+            nets: this.diffNets(oldCircuit, newCircuit)
+        };
+        result.changes = this.describeChanges(result);
+
+        console.log(`✓ Circuit diff: ${result.changes.length} change(s)`);
+        return result;
+    }
+
+    diffComponents(oldComponents, newComponents) {
+        const oldById = new Map(oldComponents.map(comp => [comp.id, comp]));
+        const newById = new Map(newComponents.map(comp => [comp.id, comp]));
+        const result = { added: [], removed: [], moved: [], retyped: [] };
+
+        newComponents.forEach(comp => {
+            if (!oldById.has(comp.id)) result.added.push(comp);
+        });
+        oldComponents.forEach(comp => {
+            if (!newById.has(comp.id)) result.removed.push(comp);
+        });
+
+        newComponents.filter(comp => oldById.has(comp.id)).forEach(comp => {
+            const old = oldById.get(comp.id);
+            if (old.type !== comp.type) {
+                result.retyped.push({ id: comp.id, from: old.type, to: comp.type });
+            }
+
+            const pinNames = new Set([...Object.keys(old.placement || {}), ...Object.keys(comp.placement || {})]);
+            const pins = Array.from(pinNames)
+                .map(pin => ({ pin, from: old.placement?.[pin] ?? null, to: comp.placement?.[pin] ?? null }))
+                .filter(({ from, to }) => from !== to);
+
+            if (pins.length > 0) {
+                result.moved.push({ id: comp.id, type: comp.type, pins });
+            }
+        });
+
+        return result;
+    }
+
+    diffWires(oldWires, newWires) {
+        const result = { added: [], removed: [], rewired: [] };
+        const sameEnds = (a, b) =>
+            (a.from === b.from && a.to === b.to) || (a.from === b.to && a.to === b.from);
+
+        const oldById = new Map(oldWires.map(wire => [wire.id, wire]));
+        const unmatchedOld = new Set(oldWires.filter(wire => !newWires.some(w => w.id === wire.id)));
+
+        newWires.forEach(wire => {
+            const old = oldById.get(wire.id);
+            if (old) {
+                if (!sameEnds(old, wire)) {
+                    const ends = ['from', 'to']
+                        .filter(end => old[end] !== wire[end])
+                        .map(end => ({ end, from: old[end], to: wire[end] }));
+                    result.rewired.push({ id: wire.id, before: old, after: wire, ends });
+                }
+                return;
+            }
+
+            // Renumbered but still joining the same points
+            const renamed = Array.from(unmatchedOld).find(candidate => sameEnds(candidate, wire));
+            if (renamed) {
+                unmatchedOld.delete(renamed);
+            } else {
+                result.added.push(wire);
+            }
+        });
+
+        result.removed = Array.from(unmatchedOld);
+        return result;
+    }
+
+    /**
+     * Merged and split nets, judged on pins that exist in both versions
+     */
+    diffNets(oldCircuit, newCircuit) {
+        const oldNetlist = this.validator.buildNetlist(oldCircuit);
+        const newNetlist = this.validator.buildNetlist(newCircuit);
+        const common = oldNetlist.nets.flatMap(net => net.pins).filter(ref => newNetlist.getNetForPin(ref));
+
+        const regroup = (pins, fromNetlist, toNetlist) => {
+            const groups = new Map();
+            pins.forEach(ref => {
+                const from = fromNetlist.getNetForPin(ref);
+                const to = toNetlist.getNetForPin(ref);
+                if (!groups.has(to)) groups.set(to, new Map());
+                const byOrigin = groups.get(to);
+                if (!byOrigin.has(from)) byOrigin.set(from, []);
+                byOrigin.get(from).push(ref);
+            });
+            return groups;
+        };
+
+        const merged = [];
+        regroup(common, oldNetlist, newNetlist).forEach((byOldNet, newNet) => {
+            if (byOldNet.size < 2) return;
+            merged.push({
+                net: newNet.name,
+                from: Array.from(byOldNet.keys(), net => net.name),
+                pins: Array.from(byOldNet.values()).flat()
+            });
+        });
+
+        const split = [];
+        regroup(common, newNetlist, oldNetlist).forEach((byNewNet, oldNet) => {
+            if (byNewNet.size < 2) return;
+            split.push({
+                net: oldNet.name,
+                into: Array.from(byNewNet.keys(), net => net.name),
+                pins: Array.from(byNewNet.values()).flat()
+            });
+        });
+
+        return { merged, split };
+    }
+
+    /**
+     * One readable line per change
+     */
+    describeChanges({ components, wires, nets }) {
+        const changes = [];
+        const describePlacement = placement => Object.entries(placement || {})
+            .map(([pin, hole]) => `${pin} ${hole}`).join(', ');
+
+        components.added.forEach(comp => changes.push({ type: 'COMPONENT_ADDED', id: comp.id,
+            message: `Added ${comp.id} (${comp.type}) at ${describePlacement(comp.placement)}` }));
+        components.removed.forEach(comp => changes.push({ type: 'COMPONENT_REMOVED', id: comp.id,
+            message: `Removed ${comp.id} (${comp.type}) from ${describePlacement(comp.placement)}` }));
+        components.moved.forEach(move => changes.push({ type: 'COMPONENT_MOVED', id: move.id,
+            message: `Moved ${move.id}: ${move.pins.map(p => `${p.pin} ${p.from || '(none)'} → ${p.to || '(none)'}`).join(', ')}` }));
+        components.retyped.forEach(change => changes.push({ type: 'COMPONENT_RETYPED', id: change.id,
+            message: `${change.id} changed from ${change.from} to ${change.to}` }));
+
+        wires.added.forEach(wire => changes.push({ type: 'WIRE_ADDED', id: wire.id,
+            message: `Added wire ${wire.id}: ${wire.from} → ${wire.to}` }));
+        wires.removed.forEach(wire => changes.push({ type: 'WIRE_REMOVED', id: wire.id,
+            message: `Removed wire ${wire.id}: ${wire.from} → ${wire.to}` }));
+        wires.rewired.forEach(change => changes.push({ type: 'WIRE_REWIRED', id: change.id,
+            message: `Rewired ${change.id}: ${change.ends.map(e => `${e.end} ${e.from} → ${e.to}`).join(', ')}` }));
+
+        nets.merged.forEach(merge => changes.push({ type: 'NETS_MERGED', id: merge.net,
+            message: `Nets ${merge.from.join(' + ')} merged into ${merge.net} (${merge.pins.join(', ')})` }));
+        nets.split.forEach(split => changes.push({ type: 'NET_SPLIT', id: split.net,
+            message: `Net ${split.net} split into ${split.into.join(' + ')} (${split.pins.join(', ')})` }));
+
+        return changes;
+    }
+}
+
+/**
+ * DiffOverlay - Draws a CircuitDiff on the breadboard: old wires and pin positions ghosted,
+ * new ones highlighted, moved pins joined by a dashed arrow
+ */
+class DiffOverlay {
+    constructor(app) {
+        this.app = app;
+        this.layer = null;
+    }
+
+    render(diff) {
+        this.clear();
+        this.layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        this.layer.setAttribute('id', 'diff-layer');
+
+        // Above wires, below components and holes
+        const componentsLayer = document.getElementById('components-layer');
+        this.app.svg.insertBefore(this.layer, componentsLayer);
+
+        diff.wires.removed.forEach(wire => this.drawWire(wire, 'diff-removed'));
+        diff.wires.added.forEach(wire => this.drawWire(wire, 'diff-added'));
+        diff.wires.rewired.forEach(change => {
+            this.drawWire(change.before, 'diff-removed');
+            this.drawWire(change.after, 'diff-added');
+        });
+
+        diff.components.removed.forEach(comp => {
+            Object.values(comp.placement || {}).forEach(pointId => this.drawPoint(pointId, 'diff-removed'));
+        });
+        diff.components.added.forEach(comp => {
+            Object.values(comp.placement || {}).forEach(pointId => this.drawPoint(pointId, 'diff-added'));
+        });
+        diff.components.moved.forEach(move => {
+            move.pins.forEach(({ from, to }) => {
+                if (from && to) this.drawLine(from, to, 'diff-move');
+                if (from) this.drawPoint(from, 'diff-removed');
+                if (to) this.drawPoint(to, 'diff-added');
+            });
+        });
+
+        console.log(`✓ Diff overlay drawn (${diff.changes.length} change(s))`);
+    }
+
+    drawWire(wire, className) {
+        const line = this.drawLine(wire.from, wire.to, className);
+        if (line) line.setAttribute('data-wire-id', wire.id);
+    }
+
+    drawLine(fromId, toId, className) {
+        const from = this.app.pointsById.get(fromId);
+        const to = this.app.pointsById.get(toId);
+        if (!from || !to) return null;
+
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.classList.add('diff-wire', className);
+        line.setAttribute('x1', from.x);
+        line.setAttribute('y1', from.y);
+        line.setAttribute('x2', to.x);
+        line.setAttribute('y2', to.y);
+        this.layer.appendChild(line);
+        return line;
+    }
+
+    drawPoint(pointId, className) {
+        const point = this.app.pointsById.get(pointId);
+        if (!point) return;
+
+        const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        circle.classList.add('diff-point', className);
+        circle.setAttribute('cx', point.x);
+        circle.setAttribute('cy', point.y);
+        circle.setAttribute('r', 3);
+        this.layer.appendChild(circle);
+    }
+
+    clear() {
+        if (this.layer) {
+            this.layer.remove();
+            this.layer = null;
+        }
+    }
+}
+
+// Make CircuitDiff and DiffOverlay globally available
+if (typeof window !== 'undefined') {
+    window.CircuitDiff = CircuitDiff;
+    window.DiffOverlay = DiffOverlay;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CircuitDiff, DiffOverlay };
+}
@@ -279,7 +279,7 @@ class CircuitLoader {
      * @param {Object} componentData - Component definition from circuit JSON
      */
     async renderComponent(componentData) {
-        const { id, type, placement } = componentData;
+        const { id, type, placement, properties } = componentData;
         
         if (!id || !type || !placement) {
             throw new Error('Component missing required fields: id, type, or placement');
@@ -293,8 +293,13 @@ class CircuitLoader {
         // Load adapter
         const adapter = await this.loadAdapter(type);
         
-        // Validate placement
+        // Validate placement - declared rules first (same check as the validator's placement layer)
         console.log(`  🔍 Validating placement...`);
+        const violations = new PlacementRules(BREADBOARD_HOLES).check(metadata, placement, id);
+        if (violations.length > 0) {
+            throw new Error(`Invalid placement: ${violations.map(v => v.message).join('; ')}`);
+        }
+
         const validation = adapter.validate(placement, BREADBOARD_HOLES);
         
         if (!validation.valid) {
@@ -336,20 +341,22 @@ class CircuitLoader {
         this.renderedComponents.set(id, { 
             type, 
             placement, 
+            properties,
             metadata,
             adapter,
             position
         });
+        this.app.invalidateNetlist({ type: 'component', id, endpoints: Object.values(placement) });
         
         console.log(`  ✅ ${id} rendered successfully`);
     }
     
     /**
      * Render a wire connection
-     * @param {Object} wireData - Wire definition { from, to, id?, description? }
+     * @param {Object} wireData - Wire definition { from, to, id?, description?, properties? }
      */
     renderWire(wireData) {
-        const { from, to, id, description } = wireData;
+        const { from, to, id, description, properties } = wireData;
         
         if (!from || !to) {
             throw new Error('Wire missing from or to endpoint');
@@ -375,7 +382,7 @@ class CircuitLoader {
         }
         
         // Create wire using existing app method
-        this.app.createWire(fromPoint, toPoint);
+        this.app.createWire(fromPoint, toPoint, { description, properties });
         
         const wireId = id || `wire-${this.app.wires.length}`;
         const desc = description ? ` (${description})` : '';
@@ -418,6 +425,7 @@ class CircuitLoader {
         }
         
         this.renderedComponents.clear();
+        this.app.invalidateNetlist({ type: 'reset' });
         console.log('  Circuit cleared');
     }
     
@@ -433,7 +441,8 @@ class CircuitLoader {
             components.push({
                 id,
                 type: data.type,
-                placement: data.placement
+                placement: data.placement,
+                ...(data.properties && { properties: data.properties })
             });
         });
         
@@ -441,7 +450,8 @@ class CircuitLoader {
         const wires = this.app.wires.map(wire => ({
             id: wire.id,
             from: wire.from,
-            to: wire.to
+            to: wire.to,
+            ...(wire.properties && { properties: wire.properties })
         }));
         
         return {
@@ -456,6 +466,106 @@ class CircuitLoader {
             }
         };
     }
+    
+    /**
+     * Extract electrical nets for the circuit currently on the board
+     * @returns {Netlist} Nets built from rendered components and placed wires
+     */
+    getNetlist() {
+        const builder = new NetlistBuilder(BREADBOARD_HOLES);
+        return builder.build(this.exportCircuit().circuit);
+    }
+
+    /**
+     * SPICE deck for the circuit currently on the board (see SpiceExporter)
+     * @param {Object} options - SpiceExporter options ({ gpio, pressed })
+     * @returns {Promise<string>} Deck text for a .cir file
+     */
+    async exportSpice(options = {}) {
+        const circuit = this.exportCircuit().circuit;
+        const componentDefs = await this.loadCircuitDefinitions(circuit);
+        return new SpiceExporter(options).build(circuit, this.getNetlist(), componentDefs);
+    }
+
+    /**
+     * KiCad files for the circuit currently on the board (see KiCadExporter)
+     * @returns {Promise<Object>} { netlist: .net text, schematic: .kicad_sch text }
+     */
+    async exportKiCad() {
+        const circuit = this.exportCircuit().circuit;
+        const componentDefs = await this.loadCircuitDefinitions(circuit);
+        const netlist = this.getNetlist();
+        const exporter = new KiCadExporter();
+
+        return {
+            netlist: exporter.buildNetlist(circuit, netlist, componentDefs),
+            schematic: exporter.buildSchematic(circuit, netlist, componentDefs)
+        };
+    }
+
+    /**
+     * Fritzing bundle for the circuit currently on the board (see FritzingExporter)
+     * @returns {Promise<Uint8Array>} .fzz archive - the .fz sketch plus any non-core part files
+     */
+    async exportFritzing() {
+        const circuit = this.exportCircuit().circuit;
+        const componentDefs = await this.loadCircuitDefinitions(circuit);
+        const exporter = new FritzingExporter();
+        const sketch = exporter.build(circuit, componentDefs, { holes: BREADBOARD_HOLES, pico: window });
+
+        const files = [{ name: 'circuit.fz', data: sketch }];
+        for (const { name, path } of exporter.listBundleFiles(componentDefs)) {
+            const response = await fetch(path);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${path}: ${response.status}`);
+            }
+            files.push({ name, data: new Uint8Array(await response.arrayBuffer()) });
+        }
+        return ZipStore.pack(files);
+    }
+
+    /**
+     * Bill of materials for the circuit currently on the board (see BomGenerator)
+     * @param {CircuitValidator} validator - Measures the wires and picks their kit jumpers
+     * @returns {Promise<Object>} { csv, html, unresolved } - unresolved lists parts missing from the library
+     */
+    async exportBom(validator) {
+        const circuit = this.exportCircuit().circuit;
+        const componentDefs = await this.loadCircuitDefinitions(circuit);
+        if (!validator.componentLibrary && !await validator.init()) {
+            throw new Error('Failed to load component library');
+        }
+
+        const generator = new BomGenerator();
+        const bom = generator.build(circuit, componentDefs, await validator.measureWires(circuit), 'Current board');
+        return { csv: generator.toCSV(bom), html: generator.toHTML(bom), unresolved: bom.unresolved };
+    }
+
+    /**
+     * Convert a Fritzing sketch to circuit JSON (see FritzingImporter) - load it with loadCircuit()
+     * @param {string|ArrayBuffer} source - .fz text or .fz/.fzz file bytes
+     * @param {string} name - Circuit name (usually the file name)
+     * @returns {Promise<Object>} { circuitJSON, unmapped, warnings }
+     */
+    async importFritzing(source, name) {
+        const library = new Map();
+        for (const type of Object.keys(this.componentRegistry)) {
+            library.set(type, await this.loadComponentMetadata(type));
+        }
+        return new FritzingImporter(BREADBOARD_HOLES).read(source, library, name);
+    }
+
+    /**
+     * Component id -> metadata for every part of a circuit, the preplaced Pico included
+     */
+    async loadCircuitDefinitions(circuit) {
+        const componentDefs = new Map([['pico1', await this.loadComponentMetadata('raspberry-pi-pico')]]);
+
+        for (const comp of circuit.components) {
+            componentDefs.set(comp.id, await this.loadComponentMetadata(comp.type));
+        }
+        return componentDefs;
+    }
 }
 
 // Make CircuitLoader globally available
@@ -7,20 +7,67 @@
  * Validation Layers:
  * 1. Structural Validation (JSON Schema)
  * 2. Reference Validation (IDs exist)
+ *    2b. Placement Rules (spans, rows and the center gap, from component JSON)
+ *    2c. Physical Footprint (bodies and legs don't collide)
+ *    2d. Wire Feasibility (jumper lengths; wires across the Pico when opted in)
  * 3. Electrical Rule Check (shorts, conflicts)
  * 4. Graph-Based Topology (series connections, complete paths)
  * 5. Component-Specific Rules (PWM capability, polarity)
  */
 
 class CircuitValidator {
-    constructor(breadboardHoles) {
+    /**
+     * @param {Array} breadboardHoles - BREADBOARD_HOLES from breadboard-data.js
+     * @param {Object} options - { loadJSON: async (path) => object } to read library files
+     *   without fetch (e.g. from disk in Node.js); paths are relative to the project root.
+     *   { loadScript: async (path) => scope } loads a geometry script and returns the object
+     *   its functions end up on (window in the browser, module.exports in Node.js).
+     *   { jumperKit: { preCut, flexible, slack, maxLength } } overrides CircuitValidator.JUMPER_KIT
+     *   { warnPicoCrossing: true } also warns about wires drawn across the Pico (WIRE_CROSSES_PICO) -
+     *   off by default, since every wire from the header away from the breadboard crosses it
+     */
+    constructor(breadboardHoles, options = {}) {
         this.holes = breadboardHoles;
+        this.loadJSON = options.loadJSON || (async path => {
+            const response = await fetch(path);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${path}`);
+            }
+            return response.json();
+        });
+        this.loadScript = options.loadScript || (path => new Promise((resolve, reject) => {
+            // Geometry scripts may already be on the page (CircuitLoader loads them too)
+            if (document.querySelector(`script[src="${path}"]`)) {
+                resolve(window);
+                return;
+            }
+
+            const script = document.createElement('script');
+            script.src = path;
+            script.onload = () => resolve(window);
+            script.onerror = () => reject(new Error(`Failed to load script: ${path}`));
+            document.head.appendChild(script);
+        }));
+        this.jumperKit = { ...CircuitValidator.JUMPER_KIT, ...options.jumperKit };
+        this.warnPicoCrossing = Boolean(options.warnPicoCrossing);
         this.busMap = this.buildBusMap(breadboardHoles);
         this.holeMap = this.buildHoleMap(breadboardHoles);
         
         // Component library (loaded dynamically)
         this.componentLibrary = null;
         this.loadedComponents = new Map();
+
+        // Components that are always on the board and never listed in circuit JSON
+        // (the Pico is pre-rendered off-breadboard; wires reference it as "pico1.GP0")
+        this.preplacedComponents = new Map([
+            ['pico1', 'raspberry-pi-pico']
+        ]);
+
+        // Interprets validation.rules declared in component JSON (Layer 5)
+        this.ruleEngine = new RuleEngine(this);
+
+        // Custom rule plugins (Layer 7) - name -> { name, layer, run, enabled }
+        this.plugins = new Map();
     }
 
     /**
@@ -28,11 +75,7 @@ class CircuitValidator {
      */
     async init() {
         try {
-            const response = await fetch('components/library.json');
-            if (!response.ok) {
-                throw new Error('Failed to load component library');
-            }
-            const data = await response.json();
+            const data = await this.loadJSON('components/library.json');
             this.componentLibrary = data.library;
             console.log('Component library loaded:', Object.keys(this.componentLibrary.index).length, 'components available');
             return true;
@@ -56,18 +99,15 @@ class CircuitValidator {
             throw new Error('Component library not initialized. Call init() first.');
         }
 
-        const componentPath = this.componentLibrary.index[componentType];
-        if (!componentPath) {
+        const componentInfo = this.componentLibrary.index[componentType];
+        if (!componentInfo || !componentInfo.metadata) {
             throw new Error(`Component type "${componentType}" not found in library`);
         }
+        const componentPath = componentInfo.metadata;
 
         // Load component file
         try {
-            const response = await fetch(`components/${componentPath}`);
-            if (!response.ok) {
-                throw new Error(`Failed to load component: ${componentPath}`);
-            }
-            const data = await response.json();
+            const data = await this.loadJSON(`components/${componentPath}`);
             const component = data.component;
             
             // Cache it
@@ -79,14 +119,56 @@ class CircuitValidator {
         }
     }
 
+    /**
+     * Register a custom rule plugin
+     * @param {Object} plugin - { name, layer?, enabled?, run(context) }
+     *   run receives { circuitJSON, circuit, netlist, holeMap, busMap, createError, createWarning, validator }
+     *   and returns (or resolves to) an array of errors/warnings
+     */
+    registerPlugin(plugin) {
+        if (!plugin || !plugin.name || typeof plugin.run !== 'function') {
+            throw new Error('Plugin must have a name and a run(context) function');
+        }
+        if (this.plugins.has(plugin.name)) {
+            throw new Error(`Plugin "${plugin.name}" is already registered`);
+        }
+
+        this.plugins.set(plugin.name, {
+            ...plugin,
+            layer: plugin.layer || plugin.name,
+            enabled: plugin.enabled !== false
+        });
+        console.log(`✓ Validation plugin registered: ${plugin.name}`);
+    }
+
+    unregisterPlugin(name) {
+        return this.plugins.delete(name);
+    }
+
+    /**
+     * Turn a plugin on or off for all future runs
+     */
+    setPluginEnabled(name, enabled) {
+        const plugin = this.plugins.get(name);
+        if (!plugin) {
+            throw new Error(`Plugin "${name}" is not registered`);
+        }
+        plugin.enabled = enabled;
+    }
+
     /**
      * Main validation entry point - GENERIC
      * @param {Object} circuitJSON - Any circuit definition to validate
-     * @returns {Object} - { valid: boolean, errors: [], warnings: [] }
+     * @param {Object} options - { plugins: { name: true|false } } to enable/disable plugins for this run
+     * @returns {Object} - { valid: boolean, errors: [], warnings: [], layers: [], jumpers: [] }
+     *   Every finding carries a `layer` id; `layers` lists each layer's status (see CircuitValidator.LAYERS)
+     *   and a `pointer` into circuitJSON plus related `holeIds` / `pinIds` (see attachSourceLocations).
+     *   `jumpers` is each wire's length and the kit jumper to use for it (see measureWires)
      */
-    async validate(circuitJSON) {
+    async validate(circuitJSON, options = {}) {
         const errors = [];
         const warnings = [];
+        const layers = [];
 
         console.log('=== Starting Circuit Validation ===');
 
@@ -96,7 +178,8 @@ class CircuitValidator {
             if (!loaded) {
                 errors.push(this.createError('LIBRARY_LOAD_FAILED', 'validator', 
                     'Failed to load component library'));
-                return { valid: false, errors, warnings };
+                this.skipRemainingLayers(layers);
+                return { valid: false, errors, warnings, layers };
             }
         }
 
@@ -104,10 +187,13 @@ class CircuitValidator {
         console.log('Layer 1: Structural validation...');
         const structuralErrors = this.validateSchema(circuitJSON);
         errors.push(...structuralErrors);
+        this.recordLayer(layers, 'schema', structuralErrors);
         
         if (structuralErrors.length > 0) {
             console.error('❌ Structural validation failed - aborting further checks');
-            return { valid: false, errors, warnings };
+            this.skipRemainingLayers(layers);
+            this.attachSourceLocations(circuitJSON, errors);
+            return { valid: false, errors, warnings, layers };
         }
         console.log('✓ Structural validation passed');
 
@@ -115,6 +201,7 @@ class CircuitValidator {
         console.log('Layer 2: Reference validation...');
         const referenceErrors = await this.validateReferences(circuitJSON);
         errors.push(...referenceErrors);
+        this.recordLayer(layers, 'references', referenceErrors);
         
         if (referenceErrors.length > 0) {
             console.warn('⚠ Reference validation found issues - continuing with other checks');
@@ -122,13 +209,51 @@ class CircuitValidator {
             console.log('✓ Reference validation passed');
         }
 
+        // Extract electrical nets once - shared by the remaining layers
+        const netlist = this.buildNetlist(circuitJSON.circuit);
+        console.log(`  → Extracted ${netlist.nets.length} nets`);
+
+        // Layer 2b: Placement Rules (declared in each component's rendering section)
+        console.log('Layer 2b: Placement rules...');
+        const placementErrors = await this.validatePlacementRules(circuitJSON);
+        errors.push(...placementErrors);
+        this.recordLayer(layers, 'placement', placementErrors);
+
+        if (placementErrors.length === 0) {
+            console.log('✓ Every part placed within its rules');
+        }
+
+        // Layer 2c: Physical Footprint (parts colliding on the board)
+        console.log('Layer 2c: Physical footprint check...');
+        const physicalFindings = await this.validatePhysicalLayout(circuitJSON);
+        const physicalErrors = physicalFindings.filter(f => f.severity === 'error');
+        errors.push(...physicalErrors);
+        warnings.push(...physicalFindings.filter(f => f.severity === 'warning'));
+        this.recordLayer(layers, 'physical', physicalFindings);
+
+        if (physicalErrors.length === 0) {
+            console.log('✓ No physical collisions');
+        }
+
+        // Layer 2d: Wire Feasibility (jumper lengths; routing around the Pico when opted in)
+        console.log('Layer 2d: Wire feasibility...');
+        const jumpers = await this.measureWires(circuitJSON.circuit);
+        const wiringWarnings = this.validateWiring(jumpers);
+        warnings.push(...wiringWarnings);
+        this.recordLayer(layers, 'wiring', wiringWarnings);
+
+        if (wiringWarnings.length === 0) {
+            console.log('✓ Every wire fits a standard jumper');
+        }
+
         // Layer 3: Electrical Rule Check
         console.log('Layer 3: Electrical rules check...');
-        const electricalErrors = await this.validateElectricalRules(circuitJSON);
+        const electricalErrors = await this.validateElectricalRules(circuitJSON, netlist);
         errors.push(...electricalErrors);
         
         const electricalWarnings = await this.checkElectricalWarnings(circuitJSON);
         warnings.push(...electricalWarnings);
+        this.recordLayer(layers, 'electrical', [...electricalErrors, ...electricalWarnings]);
         
         if (electricalErrors.length > 0) {
             console.warn('⚠ Electrical rule violations found');
@@ -138,8 +263,9 @@ class CircuitValidator {
 
         // Layer 4: Graph-Based Topology Validation
         console.log('Layer 4: Topology validation...');
-        const topologyErrors = this.validateTopology(circuitJSON);
+        const topologyErrors = await this.validateTopology(circuitJSON, netlist);
         errors.push(...topologyErrors);
+        this.recordLayer(layers, 'topology', topologyErrors);
         
         if (topologyErrors.length === 0) {
             console.log('✓ Topology validation passed');
@@ -147,20 +273,107 @@ class CircuitValidator {
 
         // Layer 5: Component-Specific Rules with PWM
         console.log('Layer 5: Component-specific rules...');
-        const componentErrors = await this.validateComponentRules(circuitJSON);
+        const componentFindings = await this.validateComponentRules(circuitJSON, netlist);
+        const componentErrors = componentFindings.filter(f => f.severity === 'error');
         errors.push(...componentErrors);
+        warnings.push(...componentFindings.filter(f => f.severity === 'warning'));
+        this.recordLayer(layers, 'component-rules', componentFindings);
         
         if (componentErrors.length === 0) {
             console.log('✓ Component-specific rules passed');
         }
 
+        // Layer 6: DC Operating Point (LED current, resistor power)
+        console.log('Layer 6: DC operating point...');
+        const operatingPointFindings = await this.validateOperatingPoint(circuitJSON, netlist);
+        const operatingPointErrors = operatingPointFindings.filter(f => f.severity === 'error');
+        errors.push(...operatingPointErrors);
+        warnings.push(...operatingPointFindings.filter(f => f.severity === 'warning'));
+        this.recordLayer(layers, 'operating-point', operatingPointFindings);
+
+        if (operatingPointErrors.length === 0) {
+            console.log('✓ DC operating point within component limits');
+        }
+
+        // Layer 7: Custom rule plugins
+        const activePlugins = this.getActivePlugins(options.plugins);
+        if (activePlugins.length > 0) {
+            console.log('Layer 7: Custom rule plugins...');
+            const pluginFindings = await this.runPlugins(activePlugins, circuitJSON, netlist);
+            errors.push(...pluginFindings.filter(f => f.severity === 'error'));
+            warnings.push(...pluginFindings.filter(f => f.severity === 'warning'));
+
+            activePlugins.forEach(plugin => {
+                this.recordLayer(layers, plugin.layer, pluginFindings.filter(f => f.layer === plugin.layer),
+                    { name: plugin.layer, plugin: plugin.name });
+            });
+        }
+
+        this.attachSourceLocations(circuitJSON, [...errors, ...warnings]);
+
         const valid = errors.length === 0;
         
         console.log('\n=== Validation Complete ===');
         console.log(`Status: ${valid ? '✓ PASSED' : '✗ FAILED'}`);
         console.log(`Errors: ${errors.length}, Warnings: ${warnings.length}`);
 
-        return { valid, errors, warnings };
+        return { valid, errors, warnings, layers, jumpers };
+    }
+
+    /**
+     * Check whether a build is wired the same as a reference circuit, whatever holes,
+     * columns or rails it uses (see CircuitComparator)
+     * @param {Object} reference - Circuit JSON to compare against
+     * @param {Object} candidate - Circuit JSON of the build
+     * @param {Object} options - { strictPins: true } to require the same GPIOs
+     * @returns {Object} { equivalent, componentMap, gpioMap, differences, errors, warnings }
+     */
+    async compareCircuits(reference, candidate, options = {}) {
+        return new CircuitComparator(this, options).compare(reference, candidate);
+    }
+
+    /**
+     * What changed electrically between two versions of a circuit (see CircuitDiff)
+     * @returns {Object} { components, wires, nets, changes }
+     */
+    diffCircuits(before, after) {
+        return new CircuitDiff(this).diff(before, after);
+    }
+
+    /**
+     * Tag a layer's findings with its id and record the layer's outcome
+     * @param {Array} layers - Layer summaries for this run
+     * @param {string} id - Key from CircuitValidator.LAYERS (or a plugin's layer name)
+     * @param {Array} findings - Errors and warnings the layer produced
+     * @param {Object} extra - Overrides/extra fields for the summary ({ name, plugin })
+     */
+    recordLayer(layers, id, findings, extra = {}) {
+        findings.forEach(finding => {
+            if (!finding.layer) finding.layer = id;
+        });
+
+        const errorCount = findings.filter(f => f.severity === 'error').length;
+        const definition = CircuitValidator.LAYERS.find(layer => layer.id === id);
+
+        layers.push({
+            id,
+            name: definition?.name || id,
+            status: errorCount > 0 ? 'failed' : 'passed',
+            errors: errorCount,
+            warnings: findings.length - errorCount,
+            ...extra
+        });
+    }
+
+    /**
+     * Mark built-in layers that did not run because an earlier layer aborted validation
+     */
+    skipRemainingLayers(layers) {
+        CircuitValidator.LAYERS.forEach(({ id, name }) => {
+            if (!layers.some(layer => layer.id === id)) {
+                layers.push({ id, name, status: 'skipped', errors: 0, warnings: 0 });
+            }
+        });
     }
 
     /**
@@ -248,7 +461,7 @@ class CircuitValidator {
         required.forEach(field => {
             if (!metadata[field] || typeof metadata[field] !== 'string') {
                 errors.push(this.createError('INVALID_METADATA', 'metadata', 
-                    `Missing or invalid "${field}" field`));
+                    `Missing or invalid "${field}" field`, { field }));
             }
         });
 
@@ -262,29 +475,29 @@ class CircuitValidator {
         // Required fields
         if (!component.id || typeof component.id !== 'string') {
             errors.push(this.createError('MISSING_COMPONENT_ID', location, 
-                'Component missing required "id" field'));
+                'Component missing required "id" field', { field: 'id' }));
         }
 
         if (!component.type || typeof component.type !== 'string') {
             errors.push(this.createError('MISSING_COMPONENT_TYPE', location, 
-                `Component "${component.id}" missing required "type" field`));
+                `Component "${component.id}" missing required "type" field`, { field: 'type' }));
         }
 
         if (!component.placement || typeof component.placement !== 'object') {
             errors.push(this.createError('MISSING_PLACEMENT', location, 
-                `Component "${component.id}" missing required "placement" field`));
+                `Component "${component.id}" missing required "placement" field`, { field: 'placement' }));
         } else {
             // Check that placement has at least one pin
             if (Object.keys(component.placement).length === 0) {
                 errors.push(this.createError('EMPTY_PLACEMENT', location, 
-                    `Component "${component.id}" has empty placement object`));
+                    `Component "${component.id}" has empty placement object`, { field: 'placement' }));
             }
 
             // Check that all placement values are strings (hole IDs)
             Object.entries(component.placement).forEach(([pin, holeId]) => {
                 if (typeof holeId !== 'string') {
                     errors.push(this.createError('INVALID_HOLE_ID', location, 
-                        `Component "${component.id}" pin "${pin}" has invalid hole ID (must be string)`));
+                        `Component "${component.id}" pin "${pin}" has invalid hole ID (must be string)`, { pin }));
                 }
             });
         }
@@ -292,7 +505,7 @@ class CircuitValidator {
         // Properties should be an object if present
         if (component.properties && typeof component.properties !== 'object') {
             errors.push(this.createError('INVALID_PROPERTIES', location, 
-                `Component "${component.id}" has invalid "properties" field (must be object)`));
+                `Component "${component.id}" has invalid "properties" field (must be object)`, { field: 'properties' }));
         }
 
         return errors;
@@ -305,17 +518,17 @@ class CircuitValidator {
         // Required fields
         if (!wire.id || typeof wire.id !== 'string') {
             errors.push(this.createError('MISSING_WIRE_ID', location, 
-                'Wire missing required "id" field'));
+                'Wire missing required "id" field', { field: 'id' }));
         }
 
         if (!wire.from || typeof wire.from !== 'string') {
             errors.push(this.createError('MISSING_WIRE_FROM', location, 
-                `Wire "${wire.id}" missing required "from" field`));
+                `Wire "${wire.id}" missing required "from" field`, { end: 'from' }));
         }
 
         if (!wire.to || typeof wire.to !== 'string') {
             errors.push(this.createError('MISSING_WIRE_TO', location, 
-                `Wire "${wire.id}" missing required "to" field`));
+                `Wire "${wire.id}" missing required "to" field`, { end: 'to' }));
         }
 
         return errors;
@@ -331,11 +544,12 @@ class CircuitValidator {
 
         // Collect all component IDs
         const componentIds = new Set();
-        circuit.components.forEach(comp => {
+        circuit.components.forEach((comp, index) => {
             if (comp.id) {
                 if (componentIds.has(comp.id)) {
                     errors.push(this.createError('DUPLICATE_COMPONENT_ID', comp.id, 
-                        `Component ID "${comp.id}" is used more than once`));
+                        `Component ID "${comp.id}" is used more than once`,
+                        { pointer: this.buildPointer(['circuit', 'components', index, 'id']) }));
                 }
                 componentIds.add(comp.id);
             }
@@ -356,13 +570,14 @@ class CircuitValidator {
                         placedPins.forEach(pin => {
                             if (!definedPins.includes(pin)) {
                                 errors.push(this.createError('INVALID_PIN_NAME', comp.id, 
-                                    `Pin "${pin}" not defined in component type "${comp.type}". Valid pins: ${definedPins.join(', ')}`));
+                                    `Pin "${pin}" not defined in component type "${comp.type}". Valid pins: ${definedPins.join(', ')}`,
+                                    { pin }));
                             }
                         });
                     }
                 } catch (error) {
                     errors.push(this.createError('UNKNOWN_COMPONENT_TYPE', comp.id, 
-                        `Component type "${comp.type}" not found in library: ${error.message}`));
+                        `Component type "${comp.type}" not found in library: ${error.message}`, { field: 'type' }));
                 }
             }
         }
@@ -373,7 +588,7 @@ class CircuitValidator {
                 Object.entries(comp.placement).forEach(([pin, holeId]) => {
                     if (!this.holeMap.has(holeId)) {
                         errors.push(this.createError('INVALID_HOLE_REFERENCE', comp.id, 
-                            `Pin "${pin}" references non-existent hole "${holeId}"`));
+                            `Pin "${pin}" references non-existent hole "${holeId}"`, { pin }));
                     }
                 });
             }
@@ -390,16 +605,68 @@ class CircuitValidator {
 
         // Validate wire ID uniqueness
         const wireIds = new Set();
-        circuit.wires.forEach(wire => {
+        circuit.wires.forEach((wire, index) => {
             if (wire.id) {
                 if (wireIds.has(wire.id)) {
                     errors.push(this.createError('DUPLICATE_WIRE_ID', wire.id, 
-                        `Wire ID "${wire.id}" is used more than once`));
+                        `Wire ID "${wire.id}" is used more than once`,
+                        { pointer: this.buildPointer(['circuit', 'wires', index, 'id']) }));
                 }
                 wireIds.add(wire.id);
             }
         });
 
+        // Each hole holds exactly one lead (component pin or wire end)
+        errors.push(...this.checkHoleOccupancy(circuit));
+
+        return errors;
+    }
+
+    /**
+     * Report holes used by more than one pin or wire end; the loader refuses these
+     */
+    checkHoleOccupancy(circuit) {
+        const errors = [];
+        const occupancy = this.buildHoleOccupancy(circuit);
+        const reserved = new Set();
+
+        occupancy.forEach((occupants, holeId) => {
+            if (occupants.length < 2) return;
+
+            const names = occupants.map(o => o.kind === 'pin' ? `${o.componentId}.${o.pin}` : `wire ${o.wireId}`);
+
+            occupants.slice(1).forEach(occupant => {
+                const location = occupant.kind === 'pin' ? occupant.componentId : occupant.wireId;
+                const freeHole = this.findFreeHole(this.busMap.get(holeId), occupancy, reserved);
+
+                let fix;
+                if (freeHole) {
+                    reserved.add(freeHole.id);
+                    fix = occupant.kind === 'pin'
+                        ? this.createMovePinFix(occupant.componentId, occupant.pin, holeId, freeHole.id)
+                        : {
+                            action: 'move-wire',
+                            wireId: occupant.wireId,
+                            end: occupant.end,
+                            from: holeId,
+                            to: freeHole.id,
+                            description: `Move the ${occupant.end === 'from' ? 'start' : 'end'} of wire ${occupant.wireId} from ${holeId} to ${freeHole.id}`
+                        };
+                }
+
+                errors.push(this.createError('HOLE_OCCUPIED', location,
+                    `Hole ${holeId} is used by ${names.join(' and ')} - each hole holds only one lead. ` +
+                    'Use another hole on the same bus.',
+                    {
+                        hole: holeId,
+                        occupants: names,
+                        ...(occupant.kind === 'pin' ? { pin: occupant.pin } : { end: occupant.end }),
+                        ...(fix ? { fix } : {})
+                    }
+                ));
+            });
+        });
+
         return errors;
     }
 
@@ -413,41 +680,348 @@ class CircuitValidator {
         if (reference.includes('.')) {
             const [compId, pinName] = reference.split('.');
             
-            if (!componentIds.has(compId)) {
+            if (!componentIds.has(compId) && !this.preplacedComponents.has(compId)) {
                 errors.push(this.createError('INVALID_WIRE_COMPONENT', wire.id, 
-                    `Wire ${endpoint} references non-existent component "${compId}"`));
+                    `Wire ${endpoint} references non-existent component "${compId}"`, { end: endpoint }));
             }
         } else {
             // It's a hole ID reference
             if (!this.holeMap.has(reference)) {
                 errors.push(this.createError('INVALID_WIRE_HOLE', wire.id, 
-                    `Wire ${endpoint} references non-existent hole "${reference}"`));
+                    `Wire ${endpoint} references non-existent hole "${reference}"`, { end: endpoint }));
+            }
+        }
+
+        return errors;
+    }
+
+    // ============================================================
+    // LAYER 2b: PLACEMENT RULES (rendering.breadboard.placement in component JSON)
+    // ============================================================
+
+    /**
+     * Span, same-row and center-gap constraints each component type declares
+     * (see PlacementRules - CircuitLoader applies the same check before rendering)
+     */
+    async validatePlacementRules(circuitJSON) {
+        const errors = [];
+        const rules = new PlacementRules(this.holes);
+
+        for (const comp of circuitJSON.circuit.components) {
+            // Unknown types and holes were reported by the reference layer
+            const holes = Object.values(comp.placement || {});
+            if (holes.length === 0 || !holes.every(holeId => this.holeMap.has(holeId))) continue;
+
+            let componentDef;
+            try {
+                componentDef = await this.loadComponent(comp.type);
+            } catch (error) {
+                continue;
             }
+
+            rules.check(componentDef, comp.placement, comp.id).forEach(violation => {
+                errors.push(this.createError(violation.type, comp.id, violation.message,
+                    { field: 'placement', pins: violation.pins.map(pin => `${comp.id}.${pin}`) }));
+            });
         }
 
         return errors;
     }
 
+    // ============================================================
+    // LAYER 2c: PHYSICAL FOOTPRINT (outlines from the geometry scripts)
+    // ============================================================
+
+    /**
+     * Bodies that overlap, bare legs running under or across other parts, and holes
+     * under a body that another part or wire uses (see FootprintChecker)
+     */
+    async validatePhysicalLayout(circuitJSON) {
+        const circuit = circuitJSON.circuit;
+        const findings = [];
+        const parts = [];
+
+        for (const comp of circuit.components) {
+            // Unknown holes were reported by the reference layer
+            const holes = Object.values(comp.placement || {});
+            if (holes.length === 0 || !holes.every(holeId => this.holeMap.has(holeId))) continue;
+
+            const calculateFootprint = await this.loadFootprint(comp.type);
+            const footprint = calculateFootprint ? calculateFootprint(comp.placement, this.holes) : null;
+            if (footprint) {
+                parts.push({ id: comp.id, type: comp.type, footprint, placement: comp.placement });
+            }
+        }
+
+        const occupants = [];
+        this.buildHoleOccupancy(circuit).forEach((holeOccupants, holeId) => {
+            const { x, y } = this.holeMap.get(holeId);
+            holeOccupants.forEach(occupant => occupants.push({
+                ...occupant,
+                owner: occupant.kind === 'pin' ? occupant.componentId : occupant.wireId,
+                holeId,
+                x,
+                y
+            }));
+        });
+
+        const { overlaps, legsUnderBody, crossedLegs, coveredHoles } = new FootprintChecker().check(parts, occupants);
+        const pinRefs = part => Object.keys(part.placement).map(pin => `${part.id}.${pin}`);
+
+        overlaps.forEach(({ a, b }) => {
+            findings.push(this.createError('BODY_OVERLAP', b.id,
+                `${a.id} and ${b.id} overlap on the board - their bodies can't both sit there. ` +
+                'Move one of them to another row or column.',
+                { components: [a.id, b.id], pins: [...pinRefs(b), ...pinRefs(a)] }
+            ));
+        });
+
+        coveredHoles.forEach(({ part, occupant }) => {
+            const name = occupant.kind === 'pin'
+                ? `${occupant.componentId}.${occupant.pin}`
+                : `The ${occupant.end} end of wire ${occupant.wireId}`;
+
+            findings.push(this.createError('HOLE_COVERED', occupant.owner,
+                `${name} goes into hole ${occupant.holeId}, which is under the body of ${part.id} - ` +
+                'nothing can be inserted there. Use another hole on the same bus.',
+                {
+                    hole: occupant.holeId,
+                    coveredBy: part.id,
+                    ...(occupant.kind === 'pin' ? { pin: occupant.pin } : { end: occupant.end }),
+                    pins: pinRefs(part)
+                }
+            ));
+        });
+
+        legsUnderBody.forEach(({ part, leg, other }) => {
+            findings.push(this.createWarning('LEG_CROSSES_BODY', part.id,
+                `${part.id}.${leg.pin} runs bare under ${other.id} - ` +
+                'bend the leg clear or move one of the parts.',
+                { pin: leg.pin, other: other.id, pins: [`${part.id}.${leg.pin}`, ...pinRefs(other)] }
+            ));
+        });
+
+        crossedLegs.forEach(({ a, legA, b, legB }) => {
+            findings.push(this.createWarning('LEGS_CROSS', a.id,
+                `Bare legs ${a.id}.${legA.pin} and ${b.id}.${legB.pin} cross - they can touch and short.`,
+                { pin: legA.pin, other: b.id, pins: [`${a.id}.${legA.pin}`, `${b.id}.${legB.pin}`] }
+            ));
+        });
+
+        console.log(`  → Checked footprints of ${parts.length} part(s)`);
+        return findings;
+    }
+
+    /**
+     * Footprint function for a component type - named by `footprint` in the library index
+     * and defined in the type's geometry script (null for types without one)
+     */
+    async loadFootprint(componentType) {
+        const componentInfo = this.componentLibrary.index[componentType];
+        if (!componentInfo?.footprint) return null;
+
+        const scope = await this.loadGeometry(componentType);
+        const calculateFootprint = scope?.[componentInfo.footprint];
+        return typeof calculateFootprint === 'function' ? calculateFootprint : null;
+    }
+
+    /**
+     * Functions of a component type's geometry script (null if it has none or fails to load)
+     */
+    async loadGeometry(componentType) {
+        const componentInfo = this.componentLibrary.index[componentType];
+        if (!componentInfo?.geometry) return null;
+
+        try {
+            return await this.loadScript(`components/${componentInfo.geometry}`);
+        } catch (error) {
+            console.warn(`⚠ No geometry for ${componentType}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // ============================================================
+    // LAYER 2d: WIRE FEASIBILITY (jumper lengths)
+    // ============================================================
+
+    /**
+     * Length of every wire as laid out - a straight line between its ends, Pico pins at
+     * the board position pico-geometry.js reports - and the kit jumper that fits it
+     * @returns {Array} [{ wireId, from, to, length (mm), offBoard, crossesPico,
+     *   jumper: { type: 'pre-cut'|'flexible'|'custom', length, label } | null }]
+     *   Wires with an end that can't be located (reported by the reference layer) are left out
+     */
+    async measureWires(circuit) {
+        const pico = await this.loadGeometry(this.preplacedComponents.get('pico1'));
+        const picoBody = this.getPicoBody(pico);
+        const checker = new FootprintChecker();
+        const measured = [];
+
+        circuit.wires.forEach(wire => {
+            const from = this.locateEndpoint(wire.from, circuit.components, pico);
+            const to = this.locateEndpoint(wire.to, circuit.components, pico);
+            if (!from || !to) return;
+
+            const offBoard = [wire.from, wire.to].some(end => this.isPreplacedPin(end));
+            const length = Math.hypot(to.x - from.x, to.y - from.y) * CircuitValidator.MM_PER_UNIT;
+            const segment = { x1: from.x, y1: from.y, x2: to.x, y2: to.y };
+
+            measured.push({
+                wireId: wire.id,
+                from: wire.from,
+                to: wire.to,
+                length: Math.round(length * 10) / 10,
+                offBoard,
+                crossesPico: picoBody ? checker.segmentHitsBody(segment, picoBody) : false,
+                jumper: this.chooseJumper(length, offBoard)
+            });
+        });
+
+        console.log(`  → Measured ${measured.length} wire(s)`);
+        return measured;
+    }
+
+    /**
+     * Warnings for wires no kit jumper reaches and wires routed across the Pico
+     */
+    validateWiring(jumpers) {
+        const warnings = [];
+        const { maxLength } = this.jumperKit;
+
+        jumpers.forEach(wire => {
+            if (!wire.jumper) {
+                const needed = Math.round(this.wireNeeded(wire.length, wire.offBoard));
+                warnings.push(this.createWarning('WIRE_TOO_LONG', wire.wireId,
+                    `Wire ${wire.wireId} (${wire.from} → ${wire.to}) needs about ${needed}mm of wire - ` +
+                    `longer than the longest jumper allowed (${maxLength}mm). Move the parts closer together ` +
+                    'or bridge the distance through a free column.',
+                    { length: wire.length, maxLength }
+                ));
+            }
+
+            if (wire.crossesPico && this.warnPicoCrossing) {
+                const picoEnd = this.isPreplacedPin(wire.from) ? 'from' : 'to';
+                warnings.push(this.createWarning('WIRE_CROSSES_PICO', wire.wireId,
+                    `Wire ${wire.wireId} runs across the Pico board from ${wire[picoEnd]}. ` +
+                    'Use a pin on the side facing the breadboard, or route the wire around the board.',
+                    { end: picoEnd }
+                ));
+            }
+        });
+
+        return warnings;
+    }
+
+    /**
+     * Smallest kit jumper that spans a wire: pre-cut jumpers for board-to-board wires,
+     * flexible leads (with slack to bend into the holes) for wires to the off-board Pico.
+     * A wire no kit size fits is cut to length; null if it needs more than maxLength
+     */
+    chooseJumper(length, offBoard) {
+        const { preCut, flexible, slack, maxLength } = this.jumperKit;
+        const needed = this.wireNeeded(length, offBoard);
+        if (needed > maxLength) return null;
+
+        if (!offBoard) {
+            const span = preCut.find(size => size >= length - 0.01);
+            if (span && span <= maxLength) {
+                const holes = Math.round(span / 2.54);
+                return { type: 'pre-cut', length: span, label: `${holes}-hole pre-cut (${span}mm)` };
+            }
+        }
+
+        const lead = flexible.find(size => size >= length * slack);
+        if (lead && lead <= maxLength) {
+            return { type: 'flexible', length: lead, label: `${lead}mm flexible` };
+        }
+
+        const cut = Math.ceil(needed);
+        return { type: 'custom', length: cut, label: `${cut}mm cut to length` };
+    }
+
+    /**
+     * Wire a jumper needs in mm - flexible leads to the Pico need slack
+     */
+    wireNeeded(length, offBoard) {
+        return offBoard ? length * this.jumperKit.slack : length;
+    }
+
+    /**
+     * Board coordinates of a wire end: a hole, a placed pin's hole, or a Pico pin
+     */
+    locateEndpoint(ref, components, pico) {
+        if (typeof ref !== 'string') return null;
+        if (this.holeMap.has(ref)) return this.holeMap.get(ref);
+
+        if (this.isPreplacedPin(ref)) {
+            return pico?.getPicoPin?.(ref) || null;
+        }
+
+        const [compId, pinName] = ref.split('.');
+        const holeId = components.find(c => c.id === compId)?.placement?.[pinName];
+        return this.holeMap.get(holeId) || null;
+    }
+
+    isPreplacedPin(ref) {
+        return typeof ref === 'string' && this.preplacedComponents.has(ref.split('.')[0]);
+    }
+
+    /**
+     * The Pico as a rectangle inset to its pin rows - a wire leaving a pin outwards
+     * doesn't touch it, one heading across the board does
+     */
+    getPicoBody(pico) {
+        if (!pico?.getPicoBounds || !pico.getPicoPin) return null;
+
+        const bounds = pico.getPicoBounds();
+        const firstPin = pico.getPicoPin('pico1.GP0');
+        if (!firstPin) return null;
+
+        // Pin rows sit ~4.5 units inside each edge (a unit more keeps the pins themselves clear)
+        const inset = firstPin.x - bounds.x + 1;
+        return {
+            shape: 'rect',
+            cx: bounds.x + bounds.width / 2,
+            cy: bounds.y + bounds.height / 2,
+            length: bounds.width - 2 * inset,
+            width: bounds.height,
+            angle: 0
+        };
+    }
+
     // ============================================================
     // LAYER 3: ELECTRICAL RULE CHECK (ERC)
     // ============================================================
 
-    async validateElectricalRules(circuitJSON) {
+    async validateElectricalRules(circuitJSON, netlist) {
         const errors = [];
         const circuit = circuitJSON.circuit;
 
         // Check for bus conflicts (multiple pins on same bus = short circuit)
-        circuit.components.forEach(comp => {
-            errors.push(...this.checkBusConflicts(comp));
-        });
+        const occupancy = this.buildHoleOccupancy(circuit);
+        for (const comp of circuit.components) {
+            let componentDef = null;
+            try {
+                componentDef = await this.loadComponent(comp.type);
+            } catch (error) {
+                // Unknown types were reported by the reference layer
+            }
+            errors.push(...this.checkBusConflicts(comp, occupancy, componentDef));
+        }
 
         // Check for direct power-to-ground shorts
-        errors.push(...this.checkPowerGroundShorts(circuit));
+        errors.push(...this.checkPowerGroundShorts(circuit, netlist));
+
+        // Check which supply drives each net (5V on GPIO, mixed supplies, dead rails)
+        errors.push(...await this.checkVoltageDomains(circuit, netlist));
 
         return errors;
     }
 
-    checkBusConflicts(component) {
+    /**
+     * @param {Object} componentDef - Component JSON; fixes are only offered when its placement rules pass
+     */
+    checkBusConflicts(component, occupancy = new Map(), componentDef = null) {
         const errors = [];
 
         if (!component.placement) return errors;
@@ -473,9 +1047,13 @@ class CircuitValidator {
         // Find buses with multiple pins (SHORT CIRCUIT)
         Object.entries(busCounts).forEach(([bus, pins]) => {
             if (pins.length > 1) {
+                const holes = pinBuses.filter(pb => pb.bus === bus).map(pb => pb.hole);
+
+                const fix = this.suggestShortCircuitFix(component, pins, occupancy, componentDef);
+
                 errors.push(this.createError('SHORT_CIRCUIT', component.id, 
                     `Multiple pins (${pins.join(', ')}) connected to same bus "${bus}" - this creates a short circuit`,
-                    { bus, pins, holes: pinBuses.filter(pb => pb.bus === bus).map(pb => pb.hole) }
+                    { bus, pins, holes, ...(fix ? { fix } : {}) }
                 ));
             }
         });
@@ -483,25 +1061,26 @@ class CircuitValidator {
         return errors;
     }
 
-    checkPowerGroundShorts(circuit) {
+    checkPowerGroundShorts(circuit, netlist) {
         const errors = [];
 
-        // Build net connectivity map from wires
-        const nets = this.buildNets(circuit);
+        // Check if any net connects power and ground directly
+        netlist.nets.forEach(net => {
+            const holes = net.holes.map(holeId => this.holeMap.get(holeId)).filter(Boolean);
+            const boardPins = net.pins.filter(ref => this.preplacedComponents.has(ref.split('.')[0]));
 
-        // Check if any net connects power and ground rails
-        nets.forEach((nodes, netId) => {
-            const holeNodes = Array.from(nodes).filter(n => !n.includes('.'));
-            const holes = holeNodes.map(holeId => this.holeMap.get(holeId)).filter(Boolean);
-            
-            const hasPower = holes.some(h => h.type === 'power');
-            const hasGround = holes.some(h => h.type === 'ground');
-
-            if (hasPower && hasGround) {
-                errors.push(this.createError('POWER_GROUND_SHORT', `net-${netId}`, 
-                    `Net connects both power and ground rails directly - this is a short circuit`,
-                    { powerHoles: holes.filter(h => h.type === 'power').map(h => h.id),
-                      groundHoles: holes.filter(h => h.type === 'ground').map(h => h.id) }
+            const powerHoles = holes.filter(h => h.type === 'power').map(h => h.id);
+            const groundHoles = holes.filter(h => h.type === 'ground').map(h => h.id);
+            const supplyPins = boardPins.filter(ref => this.isSupplyPin(ref));
+            const groundPins = boardPins.filter(ref => this.isGroundPin(ref, circuit));
+
+            const railShort = powerHoles.length > 0 && groundHoles.length > 0;
+            const supplyShort = supplyPins.length > 0 && groundPins.length > 0;
+
+            if (railShort || supplyShort) {
+                errors.push(this.createError('POWER_GROUND_SHORT', `net-${net.name}`, 
+                    `Net "${net.name}" connects both power and ground directly - this is a short circuit`,
+                    { powerHoles, groundHoles, supplyPins, groundPins, wires: net.wires }
                 ));
             }
         });
@@ -509,92 +1088,252 @@ class CircuitValidator {
         return errors;
     }
 
-    async checkElectricalWarnings(circuitJSON) {
-    const warnings = [];
-    const circuit = circuitJSON.circuit;
-
-    // TODO: Fix unconnected component detection
-    // Current implementation only checks for direct wire-to-pin references (e.g., "led1.anode")
-    // but doesn't detect connections via breadboard buses.
-    // 
-    // Example: If LED cathode is at "18E" and wire connects to "18A", they're on the same bus
-    // (bus18-bottom), so the LED IS connected, but this check misses it.
-    //
-    // Need to implement bus-aware connection checking:
-    // 1. Get all buses for component pins
-    // 2. Check if any wires connect to those buses (not just direct pin references)
-    // 3. Use getEndpointBus() to resolve wire endpoints to buses
-    //
-    // For now: DISABLED to avoid false positives
-    // See: https://github.com/yourproject/issues/XXX (when you create the issue)
-    
-    /* DISABLED - False positives on bus-connected components
-    circuit.components.forEach(comp => {
-        const placedPins = Object.keys(comp.placement || {});
-        
-        // Count how many wires connect to this component
-        const connectedPins = new Set();
-        circuit.wires.forEach(wire => {
-            ['from', 'to'].forEach(endpoint => {
-                if (wire[endpoint].startsWith(`${comp.id}.`)) {
-                    const pinName = wire[endpoint].split('.')[1];
-                    connectedPins.add(pinName);
+    /**
+     * Voltage-domain checks based on the supply pins each net is driven by
+     * - VBUS/VSYS reaching a 3.3V-only pin (GPIO, RUN, ADC_VREF, ...)
+     * - Two supplies with different voltages tied together
+     * - Power rails that something uses but no supply (or GPIO) drives
+     */
+    async checkVoltageDomains(circuit, netlist) {
+        const errors = [];
+        const domains = await this.buildVoltageDomains(netlist);
+        const tolerance = CircuitValidator.SUPPLY_TOLERANCE;
+
+        // Switches connect their nets when pressed: [{ id, nets: [netName, ...] }]
+        const switchLinks = (await this.findComponentsByElectricalType(circuit, 'switch')).map(sw => ({
+            id: sw.id,
+            nets: Object.keys(sw.placement || {})
+                .map(pin => netlist.getNetForPin(`${sw.id}.${pin}`)?.name)
+                .filter(Boolean)
+        }));
+        const describe = supplies => supplies.map(s => `${s.pin.split('.')[1]} (${s.voltage}V)`).join(' and ');
+
+        netlist.nets.forEach(net => {
+            const domain = domains.get(net.name);
+            const supplies = domain.supplies;
+            const voltages = supplies.map(s => s.voltage);
+
+            // Mixed supplies fight each other (e.g. VBUS tied to 3V3_OUT)
+            if (supplies.length > 1 && Math.max(...voltages) - Math.min(...voltages) > tolerance) {
+                errors.push(this.createError('SUPPLY_CONFLICT', `net-${net.name}`,
+                    `Different supplies are tied together: ${describe(supplies)}. A net can only be driven by one supply voltage.`,
+                    { supplies, wires: net.wires }
+                ));
+            }
+
+            // Supply above the I/O voltage reaching a 3.3V-only pin, directly or through a pressed switch
+            const overVoltage = supplies.filter(s => s.voltage > domain.ioVoltage + tolerance);
+            if (overVoltage.length > 0) {
+                const { nets: reachedNets, switches } = this.netsReachableThroughSwitches(net, switchLinks);
+                const pins = reachedNets.flatMap(name => domains.get(name).lowVoltagePins);
+
+                if (pins.length > 0) {
+                    const pinNames = pins.map(ref => ref.split('.')[1]).join(', ');
+                    const via = switches.length > 0 ? ` (through ${switches.join(', ')} when pressed)` : '';
+                    errors.push(this.createError('OVERVOLTAGE_PIN', `net-${net.name}`,
+                        `${describe(overVoltage)} reaches ${pinNames}${via}. Pico I/O pins are ${domain.ioVoltage}V only and will be damaged.`,
+                        { supplies: overVoltage, pins, switches, wires: net.wires }
+                    ));
                 }
-            });
+            }
+
+            // Power rail in use with nothing driving it (a rail wired to GND is a ground net instead)
+            const railBuses = net.buses.filter(bus =>
+                net.holes.some(holeId => this.busMap.get(holeId) === bus && this.holeMap.get(holeId).type === 'power')
+            );
+            const isGroundNet = net.pins.some(ref => this.isGroundPin(ref, circuit));
+            if (railBuses.length > 0 && supplies.length === 0 && domain.gpioPins.length === 0 && !isGroundNet) {
+                errors.push(this.createError('UNPOWERED_RAIL', `net-${net.name}`,
+                    `Power rail ${railBuses.join(', ')} is used but no supply is wired to it. Connect it to 3V3_OUT (or VBUS for 5V parts).`,
+                    { buses: railBuses, pins: net.pins, wires: net.wires }
+                ));
+            }
         });
 
-        // Warn if component has pins placed but no wires connected
-        if (placedPins.length > 0 && connectedPins.size === 0) {
-            warnings.push(this.createWarning('UNCONNECTED_COMPONENT', comp.id, 
-                `Component has no wires connected - may be floating`));
-        }
-    });
-    */
+        return errors;
+    }
 
-    return warnings;
-}
-    // ============================================================
-    // LAYER 4: GRAPH-BASED TOPOLOGY VALIDATION
-    // ============================================================
+    /**
+     * Nets reachable from a net when every switch is closed
+     * @returns {Object} { nets: [netName, ...], switches: [switchId, ...] }
+     */
+    netsReachableThroughSwitches(startNet, switchLinks) {
+        const visited = new Set([startNet.name]);
+        const switches = [];
+        const queue = [startNet.name];
 
-    validateTopology(circuitJSON) {
-        const errors = [];
-        const circuit = circuitJSON.circuit;
+        while (queue.length > 0) {
+            const current = queue.shift();
 
-        // Basic checks
-        if (circuit.components.length === 0) {
-            errors.push(this.createError('EMPTY_CIRCUIT', 'circuit', 
-                'Circuit has no components'));
-            return errors;
-        }
+            switchLinks.forEach(link => {
+                if (!link.nets.includes(current)) return;
 
-        if (circuit.wires.length === 0 && circuit.components.length > 0) {
-            errors.push(this.createError('NO_CONNECTIONS', 'circuit', 
-                'Circuit has components but no wires - nothing is connected'));
-            return errors;
+                link.nets.forEach(name => {
+                    if (visited.has(name)) return;
+                    visited.add(name);
+                    queue.push(name);
+                    if (!switches.includes(link.id)) switches.push(link.id);
+                });
+            });
         }
 
-        // Build connectivity graph from wires AND component placements
-        const graph = this.buildBusConnectivityGraph(circuit);
-        
-        console.log('  → Built connectivity graph with', graph.size, 'nodes');
+        return { nets: Array.from(visited), switches };
+    }
 
-        // Check series connections (resistor → LED connectivity)
-        const seriesErrors = this.checkSeriesConnections(circuit, graph);
-        errors.push(...seriesErrors);
+    /**
+     * Work out which supply drives each net, using the pin definitions of pre-placed boards
+     * @returns {Map} net name -> { supplies: [{ pin, voltage }], gpioPins: [], lowVoltagePins: [], ioVoltage }
+     */
+    async buildVoltageDomains(netlist) {
+        const boardDefs = new Map();
+        for (const [compId, type] of this.preplacedComponents) {
+            try {
+                boardDefs.set(compId, await this.loadComponent(type));
+            } catch (error) {
+                continue;
+            }
+        }
+
+        const domains = new Map();
+        netlist.nets.forEach(net => {
+            const domain = { supplies: [], gpioPins: [], lowVoltagePins: [], ioVoltage: 3.3 };
+
+            net.pins.forEach(ref => {
+                const [compId, pinName] = ref.split('.');
+                const boardDef = boardDefs.get(compId);
+                const pinDef = boardDef?.pins?.[pinName];
+                if (!pinDef) return;
+
+                domain.ioVoltage = boardDef.validation?.ioVoltage ?? domain.ioVoltage;
+
+                if (pinDef.electricalType === 'power') {
+                    const voltage = pinDef.voltage ?? pinDef.nominalVoltage;
+                    if (voltage !== undefined) {
+                        domain.supplies.push({ pin: ref, voltage });
+                    }
+                }
+                if (pinDef.electricalType === 'gpio') {
+                    domain.gpioPins.push(ref);
+                }
+                if (['gpio', 'input', 'io'].includes(pinDef.electricalType)) {
+                    domain.lowVoltagePins.push(ref);
+                }
+            });
+
+            domains.set(net.name, domain);
+        });
+
+        return domains;
+    }
+
+    async checkElectricalWarnings(circuitJSON) {
+        const warnings = [];
+        const circuit = circuitJSON.circuit;
+
+        warnings.push(...this.checkUnconnectedPins(circuit));
+
+        return warnings;
+    }
+
+    /**
+     * Report component pins left floating on the breadboard.
+     * A pin counts as connected when its bus is shared with another component
+     * pin, a wire endpoint, or is part of a power/ground rail.
+     */
+    checkUnconnectedPins(circuit) {
+        const warnings = [];
+        const busUsage = this.buildBusUsage(circuit);
+
+        circuit.components.forEach(comp => {
+            Object.entries(comp.placement || {}).forEach(([pinName, holeId]) => {
+                const bus = this.busMap.get(holeId);
+                if (!bus) return;  // Invalid holes are reported by reference validation
+
+                const hole = this.holeMap.get(holeId);
+                if (hole.type === 'power' || hole.type === 'ground') return;
+
+                const others = busUsage.get(bus).filter(use =>
+                    !(use.kind === 'pin' && use.componentId === comp.id && use.pin === pinName)
+                );
+
+                if (others.length === 0) {
+                    warnings.push(this.createWarning('UNCONNECTED_PIN', comp.id,
+                        `Pin "${pinName}" in hole ${holeId} is floating - nothing else is connected to bus "${bus}"`,
+                        { pin: pinName, hole: holeId, bus }
+                    ));
+                }
+            });
+        });
+
+        return warnings;
+    }
+
+    /**
+     * Build lookup map: bus -> everything plugged into it
+     * Entries are { kind: 'pin', componentId, pin } or { kind: 'wire', wireId }
+     */
+    buildBusUsage(circuit) {
+        const usage = new Map();
+        const addUse = (bus, use) => {
+            if (!bus) return;
+            if (!usage.has(bus)) usage.set(bus, []);
+            usage.get(bus).push(use);
+        };
+
+        circuit.components.forEach(comp => {
+            Object.entries(comp.placement || {}).forEach(([pinName, holeId]) => {
+                addUse(this.busMap.get(holeId), { kind: 'pin', componentId: comp.id, pin: pinName });
+            });
+        });
+
+        circuit.wires.forEach(wire => {
+            ['from', 'to'].forEach(endpoint => {
+                if (typeof wire[endpoint] !== 'string') return;
+                addUse(this.getEndpointBus(wire[endpoint], circuit), { kind: 'wire', wireId: wire.id });
+            });
+        });
+
+        return usage;
+    }
 
-        // Check for complete paths (source → component → ground)
-        const pathErrors = this.checkCompletePaths(circuit, graph);
-        errors.push(...pathErrors);
+    // ============================================================
+    // LAYER 4: GRAPH-BASED TOPOLOGY VALIDATION
+    // ============================================================
+
+    async validateTopology(circuitJSON, netlist) {
+        const errors = [];
+        const circuit = circuitJSON.circuit;
+
+        // Basic checks
+        if (circuit.components.length === 0) {
+            errors.push(this.createError('EMPTY_CIRCUIT', 'circuit', 
+                'Circuit has no components'));
+            return errors;
+        }
+
+        if (circuit.wires.length === 0 && circuit.components.length > 0) {
+            errors.push(this.createError('NO_CONNECTIONS', 'circuit', 
+                'Circuit has components but no wires - nothing is connected'));
+            return errors;
+        }
+
+        // Series-resistor and source/ground path checks are declared per component
+        // (requiresCurrentLimiting, pinMustReach) and run by the rule engine in Layer 5
 
         // Check for isolated component groups
-        const isolationErrors = this.checkIsolatedComponents(circuit, graph);
+        const isolationErrors = this.checkIsolatedComponents(circuit, netlist);
         errors.push(...isolationErrors);
 
         return errors;
     }
 
-    buildBusConnectivityGraph(circuit) {
+    /**
+     * Build bus adjacency graph
+     * @param {Object} circuit - Circuit definition
+     * @param {Object} options - { includeComponents: false } to follow wires only
+     */
+    buildBusConnectivityGraph(circuit, options = {}) {
+        const { includeComponents = true } = options;
         const graph = new Map();
 
         const addEdge = (bus1, bus2) => {
@@ -608,7 +1347,8 @@ class CircuitValidator {
         };
 
         // Add edges from component placements
-        circuit.components.forEach(comp => {
+        const placedComponents = includeComponents ? circuit.components : [];
+        placedComponents.forEach(comp => {
             const buses = Object.values(comp.placement || {})
                 .map(holeId => this.busMap.get(holeId))
                 .filter(Boolean);
@@ -647,76 +1387,30 @@ class CircuitValidator {
         return holeId ? this.busMap.get(holeId) : null;
     }
 
-    checkSeriesConnections(circuit, graph) {
-        const errors = [];
-
-        const led = circuit.components.find(c => c.type === 'led' || c.type === 'led-red-5mm');
-        const resistor = circuit.components.find(c => c.type === 'resistor' || c.type === 'resistor-220');
-
-        if (!led || !resistor) return errors;
-
-        const ledAnodeBus = this.busMap.get(led.placement.anode);
-        const ledCathodeBus = this.busMap.get(led.placement.cathode);
-
-        const resistorBuses = Object.values(resistor.placement || {})
-            .map(holeId => this.busMap.get(holeId))
-            .filter(Boolean);
-
-        const directConnection = resistorBuses.includes(ledAnodeBus) || 
-                                resistorBuses.includes(ledCathodeBus);
-
-        if (!directConnection) {
-            const connected = resistorBuses.some(rBus => 
-                this.pathExists(graph, rBus, ledAnodeBus) ||
-                this.pathExists(graph, rBus, ledCathodeBus)
-            );
+    /**
+     * Find circuit components whose library definition has the given electrical type
+     * (e.g. every LED regardless of color). Unknown types are skipped - they are
+     * reported by reference validation.
+     */
+    async findComponentsByElectricalType(circuit, electricalType) {
+        const matches = [];
 
-            if (!connected) {
-                errors.push(this.createError('OPEN_CIRCUIT', 'led-resistor',
-                    'LED and resistor are not connected. They must share a common bus or be connected via wires.',
-                    { 
-                        ledBuses: [ledAnodeBus, ledCathodeBus],
-                        resistorBuses: resistorBuses
-                    }
-                ));
+        for (const comp of circuit.components) {
+            if (!comp.type) continue;
+            try {
+                const componentDef = await this.loadComponent(comp.type);
+                if (componentDef.validation?.electricalType === electricalType) {
+                    matches.push(comp);
+                }
+            } catch (error) {
+                continue;
             }
         }
 
-        return errors;
-    }
-
-    checkCompletePaths(circuit, graph) {
-        const errors = [];
-
-        const led = circuit.components.find(c => c.type === 'led' || c.type === 'led-red-5mm');
-        
-        if (!led) return errors;
-
-        const ledCathodeBus = this.busMap.get(led.placement.cathode);
-        const ledAnodeBus = this.busMap.get(led.placement.anode);
-
-        const cathodeToGround = this.pathToGround(ledCathodeBus, graph, circuit);
-        
-        if (!cathodeToGround) {
-            errors.push(this.createError('NO_GROUND_PATH', led.id,
-                'LED cathode does not have a path to ground. Check wiring and ground connections.',
-                { cathodeBus: ledCathodeBus }
-            ));
-        }
-
-        const anodeToSource = this.pathToPowerSource(ledAnodeBus, graph, circuit);
-        
-        if (!anodeToSource.found) {
-            errors.push(this.createError('NO_SOURCE_PATH', led.id,
-                'LED anode does not have a path to a power source (Pico GPIO). Check wiring.',
-                { anodeBus: ledAnodeBus }
-            ));
-        }
-
-        return errors;
+        return matches;
     }
 
-pathExists(graph, startBus, targetBus) {
+    pathExists(graph, startBus, targetBus) {
         if (startBus === targetBus) return true;
 
         const visited = new Set();
@@ -737,37 +1431,36 @@ pathExists(graph, startBus, targetBus) {
         return false;
     }
 
-    pathToGround(startBus, graph, circuit) {
-        if (!startBus) return false;
+    /**
+     * Whether a net holds a Pico GND pin, directly or through parts in series with it -
+     * the connectivity the netlist and DC solver see (isolated rail segments don't count)
+     * @param {string} excludeId - The part being checked, so it can't reach ground through itself
+     */
+    netReachesGround(net, netlist, circuit, excludeId) {
+        if (!net) return false;
 
         const visited = new Set();
-        const queue = [startBus];
+        const queue = [net];
 
         while (queue.length > 0) {
-            const currentBus = queue.shift();
-            
-            if (visited.has(currentBus)) continue;
-            visited.add(currentBus);
+            const current = queue.shift();
+            if (visited.has(current.name)) continue;
+            visited.add(current.name);
 
-            const busHoles = this.holes.filter(h => h.bus === currentBus);
-            if (busHoles.some(h => h.type === 'ground')) {
+            if (current.pins.some(ref => this.isPreplacedPin(ref) && this.isGroundPin(ref, circuit))) {
                 return true;
             }
 
-            const wiresOnBus = circuit.wires.filter(w => {
-                const fromBus = this.getEndpointBus(w.from, circuit);
-                const toBus = this.getEndpointBus(w.to, circuit);
-                return fromBus === currentBus || toBus === currentBus;
-            });
-
-            for (const wire of wiresOnBus) {
-                if (this.isGroundPin(wire.from, circuit) || this.isGroundPin(wire.to, circuit)) {
-                    return true;
-                }
-            }
+            current.pins.forEach(ref => {
+                const compId = ref.split('.')[0];
+                if (compId === excludeId || this.isPreplacedPin(ref)) return;
 
-            const neighbors = graph.get(currentBus) || new Set();
-            neighbors.forEach(neighbor => queue.push(neighbor));
+                const component = circuit.components.find(c => c.id === compId);
+                Object.keys(component?.placement || {}).forEach(pin => {
+                    const next = netlist.getNetForPin(`${compId}.${pin}`);
+                    if (next && !visited.has(next.name)) queue.push(next);
+                });
+            });
         }
 
         return false;
@@ -818,7 +1511,7 @@ pathExists(graph, startBus, targetBus) {
         const [compId, pinName] = endpoint.split('.');
         const component = circuit.components.find(c => c.id === compId);
         
-        if (!component) return false;
+        if (!component && !this.preplacedComponents.has(compId)) return false;
 
         return pinName.includes('GND');
     }
@@ -829,15 +1522,31 @@ pathExists(graph, startBus, targetBus) {
         const [compId, pinName] = endpoint.split('.');
         const component = circuit.components.find(c => c.id === compId);
         
-        if (!component) return false;
+        if (!component && !this.preplacedComponents.has(compId)) return false;
 
         return pinName.startsWith('GP');
     }
 
-    checkIsolatedComponents(circuit, graph) {
+    checkIsolatedComponents(circuit, netlist) {
         const errors = [];
 
-        const connectedGroups = this.findConnectedGroups(graph);
+        // Components (and the pre-placed Pico) are linked when they share a net
+        const componentGraph = new Map();
+        const addNode = compId => {
+            if (!componentGraph.has(compId)) componentGraph.set(compId, new Set());
+        };
+
+        circuit.components.forEach(comp => addNode(comp.id));
+        netlist.nets.forEach(net => {
+            const compIds = [...new Set(net.pins.map(ref => ref.split('.')[0]))];
+            compIds.forEach(addNode);
+            for (let i = 1; i < compIds.length; i++) {
+                componentGraph.get(compIds[0]).add(compIds[i]);
+                componentGraph.get(compIds[i]).add(compIds[0]);
+            }
+        });
+
+        const connectedGroups = this.findConnectedGroups(componentGraph);
 
         if (connectedGroups.length > 1) {
             errors.push(this.createError('DISCONNECTED_GROUPS', 'circuit',
@@ -877,118 +1586,774 @@ pathExists(graph, startBus, targetBus) {
     }
 
     // ============================================================
-    // LAYER 5: COMPONENT-SPECIFIC RULES WITH PWM
+    // LAYER 5: COMPONENT RULES (declared in component JSON validation.rules)
     // ============================================================
 
-    async validateComponentRules(circuitJSON) {
-        const errors = [];
+    async validateComponentRules(circuitJSON, netlist) {
+        const findings = [];
         const circuit = circuitJSON.circuit;
 
-        for (const comp of circuit.components) {
+        // Graphs shared by path and series-resistor rules
+        const context = {
+            circuit,
+            netlist,
+            graph: this.buildBusConnectivityGraph(circuit),
+            wireGraph: this.buildBusConnectivityGraph(circuit, { includeComponents: false }),
+            occupancy: this.buildHoleOccupancy(circuit)
+        };
+
+        // Pre-placed boards (e.g. pico1) have rules too, but no placement in the circuit
+        const listedIds = new Set(circuit.components.map(c => c.id));
+        const components = [...circuit.components];
+        this.preplacedComponents.forEach((type, compId) => {
+            if (!listedIds.has(compId)) {
+                components.push({ id: compId, type, placement: {} });
+            }
+        });
+
+        for (const comp of components) {
             try {
                 const componentDef = await this.loadComponent(comp.type);
                 
                 if (componentDef.validation) {
-                    errors.push(...await this.validateAgainstComponentRules(comp, componentDef, circuit));
+                    findings.push(...await this.validateAgainstComponentRules(comp, componentDef, context));
                 }
             } catch (error) {
                 continue;
             }
         }
 
-        return errors;
+        return findings;
     }
 
-    async validateAgainstComponentRules(component, componentDef, circuit) {
-        const errors = [];
-        const validation = componentDef.validation;
+    /**
+     * Run the rules a component declares - see rule-engine.js for the rule vocabulary
+     */
+    async validateAgainstComponentRules(component, componentDef, context) {
+        if (!componentDef.validation?.rules) return [];
+
+        return this.ruleEngine.run(component, componentDef, context);
+    }
+
+    /**
+     * True if a resistor joins this net to a ground or supply net
+     */
+    async hasPullResistor(net, circuit, netlist) {
+        const resistors = await this.findComponentsByElectricalType(circuit, 'resistor');
+
+        return resistors.some(resistor => {
+            const pinNets = Object.keys(resistor.placement || {})
+                .map(pin => netlist.getNetForPin(`${resistor.id}.${pin}`));
 
-        if (!validation || !validation.rules) return errors;
+            if (!pinNets.includes(net)) return false;
 
-        const rules = validation.rules;
+            return pinNets.some(other => other && other !== net &&
+                other.pins.some(ref => this.isGroundPin(ref, circuit) || this.isSupplyPin(ref))
+            );
+        });
+    }
+
+    // ============================================================
+    // LAYER 6: DC OPERATING POINT
+    // ============================================================
 
-        // LED-specific
-        if (validation.electricalType === 'led') {
-            if (!component.placement.anode || !component.placement.cathode) {
-                errors.push(this.createError('INVALID_LED_PLACEMENT', component.id, 
-                    'LED must have both "anode" and "cathode" pins defined in placement'));
+    /**
+     * Solve the circuit's DC operating point and check it against the
+     * forwardVoltage / maxCurrent / maxPowerWatts values in component JSON
+     * @returns {Array} Errors and warnings (split by severity in validate())
+     */
+    async validateOperatingPoint(circuitJSON, netlist) {
+        const findings = [];
+        const circuit = circuitJSON.circuit;
+        const componentDefs = await this.loadComponentDefinitions(circuit);
+
+        const solver = new DCSolver();
+        const result = solver.solve(circuit, netlist, componentDefs);
+
+        if (!result.converged) {
+            console.warn('⚠ DC solver did not converge - LED states may be inaccurate');
+        }
+
+        result.leds.forEach(led => {
+            const validation = componentDefs.get(led.id).validation;
+            const mA = (led.current * 1000).toFixed(1);
+
+            if (validation.maxCurrent && led.current > validation.maxCurrent) {
+                const recommended = validation.rules?.recommendedResistor;
+                const hint = recommended
+                    ? ` Use a ${recommended.min}-${recommended.max}Ω series resistor.`
+                    : '';
+                findings.push(this.createError('LED_OVERCURRENT', led.id,
+                    `LED draws ${mA}mA, above its ${validation.maxCurrent * 1000}mA maximum.${hint}`,
+                    { current: led.current, maxCurrent: validation.maxCurrent, voltage: led.voltage }
+                ));
+            } else if (!led.on) {
+                findings.push(this.createWarning('LED_NOT_LIT', led.id,
+                    `LED stays dark (${mA}mA) - no GPIO output or supply can drive current through it. ` +
+                    'Check that its anode reaches a GPIO or 3V3 and its cathode reaches a Pico GND pin (buttons count as not pressed).',
+                    { current: led.current, voltage: led.voltage }
+                ));
+            } else if (led.on && validation.minVisibleCurrent && led.current < validation.minVisibleCurrent) {
+                findings.push(this.createWarning('LED_TOO_DIM', led.id,
+                    `LED only gets ${mA}mA (typical ${(validation.typicalCurrent || 0) * 1000}mA) - it will be barely visible. Check the series resistor value.`,
+                    { current: led.current, minVisibleCurrent: validation.minVisibleCurrent }
+                ));
             }
+        });
 
-            if (component.placement.anode && component.placement.cathode) {
-                const anodeBus = this.busMap.get(component.placement.anode);
-                const cathodeBus = this.busMap.get(component.placement.cathode);
+        result.resistors.forEach(resistor => {
+            const maxPower = componentDefs.get(resistor.id).validation?.rules?.maxPowerWatts;
 
-                const cathodeHoles = this.holes.filter(h => h.bus === cathodeBus);
-                const anodeHoles = this.holes.filter(h => h.bus === anodeBus);
+            if (maxPower && resistor.power > maxPower) {
+                findings.push(this.createError('RESISTOR_OVERPOWER', resistor.id,
+                    `Resistor dissipates ${(resistor.power * 1000).toFixed(0)}mW, above its ${maxPower * 1000}mW rating`,
+                    { power: resistor.power, maxPowerWatts: maxPower, current: resistor.current, voltage: resistor.voltage }
+                ));
+            }
+        });
 
-                if (cathodeHoles.some(h => h.type === 'power')) {
-                    errors.push(this.createError('LED_REVERSED', component.id,
-                        'LED appears to be reversed - cathode is connected to power rail instead of ground'));
-                }
+        findings.push(...this.checkCurrentBudget(circuit, netlist, componentDefs, result));
 
-                if (anodeHoles.some(h => h.type === 'ground')) {
-                    errors.push(this.createError('LED_REVERSED', component.id,
-                        'LED appears to be reversed - anode is connected to ground rail instead of power'));
+        return findings;
+    }
+
+    /**
+     * Add up the current each board pin supplies (solved, or declared by parts the
+     * solver doesn't model) and check it against the board's validation.currentBudget:
+     * per GPIO, all GPIOs together, and each supply rail
+     * @returns {Array} Errors over a limit, warnings above warnFraction of it
+     */
+    checkCurrentBudget(circuit, netlist, componentDefs, result) {
+        const findings = [];
+        const loads = this.collectPinCurrents(circuit, netlist, componentDefs, result);
+        const mA = current => `${(current * 1000).toFixed(1)}mA`;
+
+        componentDefs.forEach((def, boardId) => {
+            const budget = def.validation?.currentBudget;
+            if (!budget) return;
+
+            const warnFraction = budget.warnFraction ?? 1;
+            const pinRef = pin => `${boardId}.${pin}`;
+            const currentOf = pin => loads.get(pinRef(pin)) || 0;
+
+            const check = (type, current, limit, message, metadata) => {
+                if (!limit) return;
+                if (current > limit) {
+                    findings.push(this.createError(type, boardId, `${message} - above the ${mA(limit)} limit`,
+                        { current, maxCurrent: limit, ...metadata }));
+                } else if (current > limit * warnFraction) {
+                    findings.push(this.createWarning('CURRENT_BUDGET_NEAR_LIMIT', boardId,
+                        `${message} - ${Math.round(current / limit * 100)}% of the ${mA(limit)} limit`,
+                        { current, maxCurrent: limit, limitType: type, ...metadata }));
                 }
+            };
+
+            // Per GPIO and the GPIO bank as a whole (sourcing and sinking both count)
+            const gpioPins = Object.keys(def.pins || {})
+                .filter(pin => def.pins[pin].electricalType === 'gpio' && currentOf(pin) > 0);
+
+            gpioPins.forEach(pin => {
+                check('GPIO_OVERCURRENT', currentOf(pin), budget.gpioMaxCurrent,
+                    `${pin} carries ${mA(currentOf(pin))}`, { pin, pins: [pinRef(pin)] });
+            });
+
+            const gpioTotal = gpioPins.reduce((sum, pin) => sum + currentOf(pin), 0);
+            if (gpioPins.length > 1) {
+                check('GPIO_TOTAL_OVERCURRENT', gpioTotal, budget.gpioTotalMaxCurrent,
+                    `${gpioPins.length} GPIOs carry ${mA(gpioTotal)} together ` +
+                    `(${gpioPins.map(pin => `${pin} ${mA(currentOf(pin))}`).join(', ')})`,
+                    { pins: gpioPins.map(pinRef) });
+            }
+
+            // Rails in declaration order, so a rail can include the ones before it
+            const railTotals = new Map();
+            (budget.rails || []).forEach(rail => {
+                const railPins = (rail.pins || []).filter(pin => currentOf(pin) > 0);
+                const included = (rail.includeRails || []).reduce((sum, name) => sum + (railTotals.get(name) || 0), 0);
+                const total = (rail.baseCurrent || 0) +
+                    railPins.reduce((sum, pin) => sum + currentOf(pin), 0) +
+                    (rail.includeGpio ? gpioTotal : 0) +
+                    included;
+                railTotals.set(rail.name, total);
+
+                const parts = [
+                    ...railPins.map(pin => `${pin} ${mA(currentOf(pin))}`),
+                    ...(rail.includeGpio && gpioTotal > 0 ? [`GPIOs ${mA(gpioTotal)}`] : []),
+                    ...(rail.includeRails || []).filter(name => railTotals.get(name)).map(name => `${name} rail ${mA(railTotals.get(name))}`),
+                    ...(rail.baseCurrent ? [`board ${mA(rail.baseCurrent)}`] : [])
+                ];
+
+                check('RAIL_OVERCURRENT', total, rail.maxCurrent,
+                    `${rail.name} rail supplies ${mA(total)} (${parts.join(' + ')})`,
+                    { rail: rail.name, pins: railPins.map(pinRef) });
+            });
+
+            const summary = [`GPIO ${mA(gpioTotal)}`, ...Array.from(railTotals, ([name, total]) => `${name} ${mA(total)}`)];
+            console.log(`✓ Current budget for ${boardId}: ${summary.join(', ')}`);
+        });
+
+        return findings;
+    }
+
+    /**
+     * Current through each board pin: the solver's source currents split over the pins
+     * driving each net, plus declared loads (component properties.loadCurrent or library
+     * validation.supplyCurrent, in A) on parts the solver doesn't model
+     * @returns {Map} pin ref ("pico1.GP0") -> current in A (magnitude)
+     */
+    collectPinCurrents(circuit, netlist, componentDefs, result) {
+        const currents = new Map();
+        const add = (ref, current) => currents.set(ref, (currents.get(ref) || 0) + current);
+
+        result.sources.forEach(source => {
+            if (source.voltage === 0 || source.pins.length === 0) return;
+            source.pins.forEach(ref => add(ref, Math.abs(source.current) / source.pins.length));
+        });
+
+        const modeled = new Set([...result.leds, ...result.resistors].map(element => element.id));
+        const sourceByNet = new Map(result.sources.filter(s => s.voltage > 0).map(s => [s.net, s]));
+
+        circuit.components.forEach(comp => {
+            const declared = comp.properties?.loadCurrent ?? componentDefs.get(comp.id)?.validation?.supplyCurrent;
+            if (!declared || modeled.has(comp.id)) return;
+
+            // The part draws from the highest supply among its pins
+            const supply = Object.keys(comp.placement || {})
+                .map(pin => sourceByNet.get(netlist.getNetForPin(`${comp.id}.${pin}`)?.name))
+                .filter(Boolean)
+                .sort((a, b) => b.voltage - a.voltage)[0];
+            if (!supply) return;
+
+            supply.pins.forEach(ref => add(ref, declared / supply.pins.length));
+        });
+
+        return currents;
+    }
+
+    /**
+     * Map every component id (including pre-placed boards) to its library definition.
+     * Unknown types are skipped - they are reported by reference validation.
+     */
+    async loadComponentDefinitions(circuit) {
+        const defs = new Map();
+
+        for (const [compId, type] of this.preplacedComponents) {
+            try {
+                defs.set(compId, await this.loadComponent(type));
+            } catch (error) {
+                continue;
             }
         }
 
-        // Resistor-specific
-        if (validation.electricalType === 'resistor') {
-            const pins = Object.keys(component.placement || {});
-            if (pins.length !== 2) {
-                errors.push(this.createError('INVALID_RESISTOR_PLACEMENT', component.id, 
-                    'Resistor must have exactly 2 pins defined in placement'));
+        for (const comp of circuit.components) {
+            if (!comp.type) continue;
+            try {
+                defs.set(comp.id, await this.loadComponent(comp.type));
+            } catch (error) {
+                continue;
             }
         }
 
-        // Microcontroller-specific
-        if (validation.electricalType === 'microcontroller') {
-            const picoWires = circuit.wires.filter(w => 
-                w.from.startsWith(`${component.id}.`) || w.to.startsWith(`${component.id}.`)
-            );
+        return defs;
+    }
 
-            for (const wire of picoWires) {
-                const isPWMSignal = wire.properties?.signal_type === 'pwm' || 
-                                   wire.properties?.function === 'signal';
+    // ============================================================
+    // LAYER 7: CUSTOM RULE PLUGINS
+    // ============================================================
 
-                if (isPWMSignal) {
-                    const endpoint = wire.from.startsWith(`${component.id}.`) ? wire.from : wire.to;
-                    const pinName = endpoint.split('.')[1];
+    /**
+     * Registered plugins that should run, after per-run overrides
+     * @param {Object} overrides - { pluginName: true|false }
+     */
+    getActivePlugins(overrides = {}) {
+        return Array.from(this.plugins.values()).filter(plugin =>
+            overrides[plugin.name] !== undefined ? overrides[plugin.name] : plugin.enabled
+        );
+    }
 
-                    const pinDef = componentDef.pins[pinName];
-                    
-                    if (pinDef && pinDef.pwmCapable === false) {
-                        errors.push(this.createError('INVALID_PWM_PIN', component.id,
-                            `Pin ${pinName} does not support PWM. Choose a PWM-capable GPIO pin (e.g., GP0-GP28).`,
-                            { pin: pinName, wireId: wire.id }
-                        ));
-                    }
+    async runPlugins(plugins, circuitJSON, netlist) {
+        const findings = [];
+        const context = {
+            circuitJSON,
+            circuit: circuitJSON.circuit,
+            netlist,
+            holeMap: this.holeMap,
+            busMap: this.busMap,
+            createError: this.createError.bind(this),
+            createWarning: this.createWarning.bind(this),
+            validator: this
+        };
 
-                    if (pinDef && pinDef.pwmCapable === true) {
-                        console.log(`  ✓ Pin ${pinName} is PWM-capable (channel ${pinDef.pwmChannel})`);
-                    }
+        for (const plugin of plugins) {
+            try {
+                const results = await plugin.run(context) || [];
+                results.forEach(finding => findings.push({ ...finding, layer: plugin.layer }));
+
+                if (results.length === 0) {
+                    console.log(`✓ ${plugin.layer} passed`);
+                } else {
+                    console.warn(`⚠ ${plugin.layer}: ${results.length} finding(s)`);
                 }
+            } catch (error) {
+                findings.push({
+                    ...this.createWarning('PLUGIN_FAILED', plugin.name,
+                        `Plugin "${plugin.name}" threw an error: ${error.message}`),
+                    layer: plugin.layer
+                });
             }
         }
 
-        return errors;
+        return findings;
     }
 
     // ============================================================
-    // HELPER METHODS
+    // SOURCE LOCATIONS (JSON pointers into the circuit file)
+    // ============================================================
+
+    /**
+     * Give every finding a JSON pointer into circuitJSON plus the hole and pin ids it involves
+     *
+     * Layers keep reporting a free-form `location` (component id, wire id, "net-GND", ...);
+     * the pointer is derived from it and from metadata the layer attached (pin, end, hole,
+     * field, wires, pins). A layer may also set `pointer` itself.
+     *   pointer: "/circuit/components/2/placement/anode"
+     *   holeIds: ["15E"]            pinIds: ["led1.anode"]
+     */
+    attachSourceLocations(circuitJSON, findings) {
+        const circuit = circuitJSON && typeof circuitJSON === 'object' ? circuitJSON.circuit : null;
+        const components = Array.isArray(circuit?.components) ? circuit.components : [];
+        const wires = Array.isArray(circuit?.wires) ? circuit.wires : [];
+
+        findings.forEach(finding => {
+            if (finding.pointer === undefined) {
+                finding.pointer = this.resolvePointer(finding, components, wires);
+            }
+
+            const target = this.resolvePointerTarget(finding.pointer, components, wires);
+            const holeIds = new Set(finding.holeIds || []);
+            const pinIds = new Set(finding.pinIds || []);
+
+            target.holes.forEach(holeId => holeIds.add(holeId));
+            target.pins.forEach(ref => pinIds.add(ref));
+
+            [finding.hole, ...[finding.holes, finding.powerHoles, finding.groundHoles].flat()]
+                .filter(holeId => typeof holeId === 'string' && this.holeMap.has(holeId))
+                .forEach(holeId => holeIds.add(holeId));
+
+            const ownerId = target.componentId;
+            [finding.pins, finding.supplyPins, finding.groundPins, finding.gpioPins].flat()
+                .filter(ref => typeof ref === 'string')
+                .forEach(ref => {
+                    if (ref.includes('.')) pinIds.add(ref);
+                    else if (ownerId) pinIds.add(`${ownerId}.${ref}`);
+                });
+
+            // Placed pins light up their hole too
+            pinIds.forEach(ref => {
+                const [compId, pinName] = ref.split('.');
+                const holeId = components.find(c => c?.id === compId)?.placement?.[pinName];
+                if (typeof holeId === 'string' && this.holeMap.has(holeId)) holeIds.add(holeId);
+            });
+
+            finding.holeIds = Array.from(holeIds);
+            finding.pinIds = Array.from(pinIds);
+        });
+
+        return findings;
+    }
+
+    /**
+     * Derive a JSON pointer from a finding's location and metadata
+     */
+    resolvePointer(finding, components, wires) {
+        const location = String(finding.location ?? '');
+
+        if (location === 'Root') return '';
+        if (location === 'circuit') return '/circuit';
+        if (location === 'metadata') {
+            return this.buildPointer(['circuit', 'metadata', ...(finding.field ? [finding.field] : [])]);
+        }
+
+        const indexed = location.match(/^(components|wires)\[(\d+)\]$/);
+        if (indexed) {
+            const index = Number(indexed[2]);
+            return indexed[1] === 'components'
+                ? this.pointerIntoComponent(index, components[index], finding)
+                : this.pointerIntoWire(index, wires[index], finding);
+        }
+
+        const componentIndex = components.findIndex(c => c?.id === location);
+        if (componentIndex !== -1) {
+            return this.pointerIntoComponent(componentIndex, components[componentIndex], finding);
+        }
+
+        const wireIndex = wires.findIndex(w => w?.id === location);
+        if (wireIndex !== -1) {
+            return this.pointerIntoWire(wireIndex, wires[wireIndex], finding);
+        }
+
+        // Net-level findings (net-GND, ...) point at the first wire of the net
+        const netWire = [finding.wireId, ...(finding.wires || [])]
+            .map(wireId => wires.findIndex(w => w?.id === wireId))
+            .find(index => index !== -1);
+        if (netWire !== undefined) {
+            return this.pointerIntoWire(netWire, wires[netWire], finding);
+        }
+
+        // ...or at the first placed pin / wire end it names
+        const refs = [finding.pins, finding.supplyPins, finding.groundPins].flat()
+            .filter(ref => typeof ref === 'string' && ref.includes('.'));
+        for (const ref of refs) {
+            const [compId, pinName] = ref.split('.');
+            const index = components.findIndex(c => c?.id === compId);
+            if (index !== -1) {
+                return this.pointerIntoComponent(index, components[index], { pin: pinName });
+            }
+            const wireEnd = wires.findIndex(w => w?.from === ref || w?.to === ref);
+            if (wireEnd !== -1) {
+                return this.buildPointer(['circuit', 'wires', wireEnd, wires[wireEnd].from === ref ? 'from' : 'to']);
+            }
+        }
+
+        return '/circuit';
+    }
+
+    pointerIntoComponent(index, component, finding) {
+        const base = ['circuit', 'components', index];
+        const placement = component?.placement && typeof component.placement === 'object' ? component.placement : {};
+
+        let pin = typeof finding.pin === 'string' ? finding.pin : null;
+        if (!pin && Array.isArray(finding.pins) && typeof finding.pins[0] === 'string' && !finding.pins[0].includes('.')) {
+            pin = finding.pins[0];
+        }
+        if (!pin && finding.hole) {
+            pin = Object.keys(placement).find(name => placement[name] === finding.hole) || null;
+        }
+
+        if (pin && pin in placement) return this.buildPointer([...base, 'placement', pin]);
+        if (finding.field) return this.buildPointer([...base, finding.field]);
+        return this.buildPointer(base);
+    }
+
+    pointerIntoWire(index, wire, finding) {
+        const base = ['circuit', 'wires', index];
+
+        let end = finding.end === 'from' || finding.end === 'to' ? finding.end : null;
+        if (!end && finding.hole && wire) {
+            end = wire.from === finding.hole ? 'from' : wire.to === finding.hole ? 'to' : null;
+        }
+        if (!end && typeof finding.pin === 'string' && wire) {
+            const matches = endpoint => typeof endpoint === 'string' && endpoint.endsWith(`.${finding.pin}`);
+            end = matches(wire.from) ? 'from' : matches(wire.to) ? 'to' : null;
+        }
+
+        if (end) return this.buildPointer([...base, end]);
+        if (finding.field) return this.buildPointer([...base, finding.field]);
+        return this.buildPointer(base);
+    }
+
+    /**
+     * What a pointer lands on - a placed pin, a wire end, or a whole component/wire
+     * (whole parts contribute all their holes so the breadboard can highlight them)
+     * @returns {Object} { componentId, pins: [], holes: [] }
+     */
+    resolvePointerTarget(pointer, components, wires) {
+        const tokens = (pointer || '').split('/').slice(1).map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+        const target = { componentId: null, pins: [], holes: [] };
+        const addEndpoint = endpoint => {
+            if (typeof endpoint !== 'string') return;
+            if (endpoint.includes('.')) target.pins.push(endpoint);
+            else if (this.holeMap.has(endpoint)) target.holes.push(endpoint);
+        };
+
+        if (tokens[0] !== 'circuit') return target;
+
+        if (tokens[1] === 'components') {
+            const component = components[Number(tokens[2])];
+            if (!component) return target;
+
+            target.componentId = component.id;
+            const placement = component.placement && typeof component.placement === 'object' ? component.placement : {};
+            const pinNames = tokens[3] === 'placement' && tokens[4] !== undefined ? [tokens[4]] : Object.keys(placement);
+
+            pinNames.forEach(pinName => {
+                if (tokens[4] !== undefined) target.pins.push(`${component.id}.${pinName}`);
+                const holeId = placement[pinName];
+                if (typeof holeId === 'string' && this.holeMap.has(holeId)) target.holes.push(holeId);
+            });
+        }
+
+        if (tokens[1] === 'wires') {
+            const wire = wires[Number(tokens[2])];
+            if (!wire) return target;
+
+            if (tokens[3] === 'from' || tokens[3] === 'to') addEndpoint(wire[tokens[3]]);
+            else if (tokens[3] === undefined) [wire.from, wire.to].forEach(addEndpoint);
+        }
+
+        return target;
+    }
+
+    /**
+     * ['circuit', 'components', 2] -> "/circuit/components/2" (RFC 6901 escaping)
+     */
+    buildPointer(tokens) {
+        return tokens.map(token => '/' + String(token).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+    }
+
     // ============================================================
+    // FIX SUGGESTIONS
+    // ============================================================
+
+    /**
+     * Apply a fix object attached to an error and return the corrected circuit
+     * (the input is not modified). Fix actions:
+     *   swap-pins        { componentId, pins: [a, b] }
+     *   move-pin         { componentId, pin, from, to }
+     *   move-wire        { wireId, end: 'from'|'to', from, to }
+     *   insert-component { component: { id, type, placement }, rewire?: { wireId, end, from, to } }
+     * @param {Object} circuitJSON - Circuit definition ({ circuit: {...} })
+     * @param {Object} fix - Fix object from a validation error
+     * @returns {Object} New circuit definition with the fix applied
+     */
+    static applyFix(circuitJSON, fix) {
+        const fixed = JSON.parse(JSON.stringify(circuitJSON));
+        const circuit = fixed.circuit;
+
+        const findComponent = id => {
+            const component = circuit.components.find(c => c.id === id);
+            if (!component) throw new Error(`Fix references unknown component "${id}"`);
+            return component;
+        };
+
+        const moveWireEnd = ({ wireId, end, to }) => {
+            const wire = circuit.wires.find(w => w.id === wireId);
+            if (!wire) throw new Error(`Fix references unknown wire "${wireId}"`);
+            wire[end] = to;
+        };
+
+        switch (fix.action) {
+            case 'swap-pins': {
+                const component = findComponent(fix.componentId);
+                const [a, b] = fix.pins;
+                [component.placement[a], component.placement[b]] = [component.placement[b], component.placement[a]];
+                break;
+            }
+            case 'move-pin':
+                findComponent(fix.componentId).placement[fix.pin] = fix.to;
+                break;
+            case 'move-wire':
+                moveWireEnd(fix);
+                break;
+            case 'insert-component':
+                circuit.components.push(JSON.parse(JSON.stringify(fix.component)));
+                if (fix.rewire) moveWireEnd(fix.rewire);
+                break;
+            default:
+                throw new Error(`Unknown fix action "${fix.action}"`);
+        }
+
+        return fixed;
+    }
+
+    createMovePinFix(componentId, pin, from, to) {
+        return {
+            action: 'move-pin',
+            componentId,
+            pin,
+            from,
+            to,
+            description: `Move ${componentId}.${pin} from ${from} to ${to}`
+        };
+    }
+
+    /**
+     * Suggest moving the second shorted pin into the first pin's row, on the nearest unused
+     * column where the part still meets its declared placement rules (span, same row, gap)
+     * @returns {Object|undefined} move-pin fix
+     */
+    suggestShortCircuitFix(component, pins, occupancy, componentDef) {
+        if (!componentDef) return undefined;
+
+        const from = component.placement[pins[1]];
+        const anchor = this.holeMap.get(component.placement[pins[0]]);
+        if (!anchor || anchor.type !== 'main') return undefined;
+
+        const rules = new PlacementRules(this.holes);
+        for (const distance of [1, 2, 3, 4, 5]) {
+            for (const column of [anchor.column + distance, anchor.column - distance]) {
+                const to = `${column}${anchor.row}`;
+                const bus = this.busMap.get(to);
+                if (!bus || this.holes.some(h => h.bus === bus && occupancy.has(h.id))) continue;
+
+                const placement = { ...component.placement, [pins[1]]: to };
+                if (rules.check(componentDef, placement, component.id).length === 0) {
+                    return this.createMovePinFix(component.id, pins[1], from, to);
+                }
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Suggest inserting a resistor between a component pin and the wire that feeds it:
+     * the resistor bridges the pin's bus and an unused column, and the wire moves to that column
+     * @returns {Object|null} insert-component fix
+     */
+    async suggestSeriesResistorFix(component, range, circuit, occupancy) {
+        const resistorType = await this.findResistorTypeInRange(range);
+        if (!resistorType) return null;
+
+        for (const holeId of Object.values(component.placement || {})) {
+            const hole = this.holeMap.get(holeId);
+            if (!hole || hole.type !== 'main') continue;
+
+            const wire = circuit.wires.find(w => this.busMap.get(w.from) === hole.bus || this.busMap.get(w.to) === hole.bus);
+            if (!wire) continue;
+
+            const end = this.busMap.get(wire.from) === hole.bus ? 'from' : 'to';
+            const otherEnd = end === 'from' ? wire.to : wire.from;
+
+            const emptyBus = this.findEmptyBusNear(holeId, occupancy);
+            if (!emptyBus) continue;
+
+            // Resistor lies along one row: one lead on the pin's bus, one on the empty column
+            const row = this.holes
+                .filter(h => h.bus === emptyBus.bus)
+                .map(h => h.row)
+                .find(r => !occupancy.has(`${hole.column}${r}`) && this.holeMap.has(`${hole.column}${r}`));
+            if (!row) continue;
+
+            const resistorPinHole = `${emptyBus.column}${row}`;
+            const wireHole = this.findFreeHole(emptyBus.bus, occupancy, new Set([resistorPinHole]));
+            if (!wireHole) continue;
+
+            let resistorId = `r_${component.id}`;
+            for (let n = 2; circuit.components.some(c => c.id === resistorId); n++) {
+                resistorId = `r_${component.id}_${n}`;
+            }
+
+            const sourceLabel = otherEnd.includes('.') ? otherEnd.split('.')[1] : otherEnd;
+
+            return {
+                action: 'insert-component',
+                description: `Insert ${resistorType} between ${sourceLabel} and ${wire[end]}`,
+                component: {
+                    id: resistorId,
+                    type: resistorType,
+                    placement: { pin0: resistorPinHole, pin1: `${hole.column}${row}` }
+                },
+                rewire: { wireId: wire.id, end, from: wire[end], to: wireHole.id }
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * First library resistor whose resistance lies in { min, max }
+     */
+    async findResistorTypeInRange(range) {
+        if (!this.componentLibrary) return null;
+
+        for (const type of Object.keys(this.componentLibrary.index)) {
+            try {
+                const def = await this.loadComponent(type);
+                const resistance = def.properties?.resistance;
+                if (def.validation?.electricalType !== 'resistor' || !resistance) continue;
+                if (!range || (resistance >= range.min && resistance <= range.max)) return type;
+            } catch (error) {
+                continue;
+            }
+        }
 
-    buildNets(circuit) {
-        const nets = new Map();
-        let netId = 0;
+        return null;
+    }
 
+    /**
+     * Map every valid hole to the leads in it
+     * @returns {Map} holeId -> [{ kind: 'pin', componentId, pin } | { kind: 'wire', wireId, end }]
+     */
+    buildHoleOccupancy(circuit) {
+        const occupancy = new Map();
+        const add = (holeId, occupant) => {
+            if (typeof holeId !== 'string' || !this.holeMap.has(holeId)) return;
+            if (!occupancy.has(holeId)) occupancy.set(holeId, []);
+            occupancy.get(holeId).push(occupant);
+        };
+
+        circuit.components.forEach(comp => {
+            Object.entries(comp.placement || {}).forEach(([pin, holeId]) => {
+                add(holeId, { kind: 'pin', componentId: comp.id, pin });
+            });
+        });
         circuit.wires.forEach(wire => {
-            const nodes = new Set([wire.from, wire.to]);
-            nets.set(netId++, nodes);
+            ['from', 'to'].forEach(end => add(wire[end], { kind: 'wire', wireId: wire.id, end }));
         });
 
-        return nets;
+        return occupancy;
+    }
+
+    findFreeHole(bus, occupancy, reserved = new Set()) {
+        return this.holes.find(h => h.bus === bus && !occupancy.has(h.id) && !reserved.has(h.id)) || null;
+    }
+
+    /**
+     * Nearest main-grid column on the same side of the gap with nothing in it
+     * @param {Array} distances - Column offsets to try, in order (default prefers 3 holes, the standard resistor span)
+     * @returns {Object|null} { bus, column }
+     */
+    findEmptyBusNear(holeId, occupancy, distances = [3, 2, 4, 1, 5]) {
+        const hole = this.holeMap.get(holeId);
+        if (!hole || hole.type !== 'main') return null;
+
+        const side = hole.bus.split('-')[1];
+        for (const distance of distances) {
+            for (const column of [hole.column + distance, hole.column - distance]) {
+                const bus = `bus${column}-${side}`;
+                const busHoles = this.holes.filter(h => h.bus === bus);
+                if (busHoles.length > 0 && busHoles.every(h => !occupancy.has(h.id))) {
+                    return { bus, column };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // ============================================================
+    // HELPER METHODS
+    // ============================================================
+
+    /**
+     * Extract electrical nets (buses, rails, wires, Pico pins) for a circuit
+     * @returns {Netlist}
+     */
+    buildNetlist(circuit) {
+        const builder = new NetlistBuilder(this.holes, {
+            preplacedComponents: this.preplacedComponents
+        });
+        return builder.build(circuit);
+    }
+
+    /**
+     * Pins that supply voltage onto a net (VBUS, VSYS, 3V3_OUT)
+     */
+    isSupplyPin(endpoint) {
+        if (!endpoint.includes('.')) return false;
+
+        const pinName = endpoint.split('.')[1];
+        return ['VBUS', 'VSYS', '3V3_OUT'].includes(pinName);
+    }
+
+    /**
+     * Human-readable resistance (10000 -> "10kΩ")
+     */
+    formatResistance(ohms) {
+        if (ohms >= 1000000) return `${ohms / 1000000}MΩ`;
+        if (ohms >= 1000) return `${ohms / 1000}kΩ`;
+        return `${ohms}Ω`;
     }
 
     createError(type, location, message, metadata = {}) {
@@ -1026,6 +2391,12 @@ pathExists(graph, startBus, targetBus) {
             validationResult.errors.forEach((err, i) => {
                 lines.push(`\n${i + 1}. [${err.type}] ${err.location}`);
                 lines.push(`   ${err.message}`);
+                if (err.fix) {
+                    lines.push(`   Suggested fix: ${err.fix.description}`);
+                }
+                if (err.layer) {
+                    lines.push(`   Layer: ${err.layer}`);
+                }
                 if (err.bus || err.pins) {
                     lines.push(`   Details: ${JSON.stringify({ bus: err.bus, pins: err.pins }, null, 2)}`);
                 }
@@ -1037,6 +2408,17 @@ pathExists(graph, startBus, targetBus) {
             validationResult.warnings.forEach((warn, i) => {
                 lines.push(`\n${i + 1}. [${warn.type}] ${warn.location}`);
                 lines.push(`   ${warn.message}`);
+                if (warn.layer) {
+                    lines.push(`   Layer: ${warn.layer}`);
+                }
+            });
+        }
+
+        if (validationResult.jumpers?.length > 0) {
+            lines.push('\n\n━━━ JUMPERS ━━━\n');
+            validationResult.jumpers.forEach(wire => {
+                const route = `${wire.wireId}: ${wire.from} → ${wire.to}`;
+                lines.push(`${route.padEnd(32)} ${`${wire.length}mm`.padStart(8)}  ${wire.jumper ? wire.jumper.label : 'no jumper long enough'}`);
             });
         }
 
@@ -1051,6 +2433,34 @@ pathExists(graph, startBus, targetBus) {
     }
 }
 
+// Built-in validation layers in run order - ids appear as `layer` on findings
+CircuitValidator.LAYERS = [
+    { id: 'schema', name: 'Structural validation' },
+    { id: 'references', name: 'Reference validation' },
+    { id: 'placement', name: 'Placement rules' },
+    { id: 'physical', name: 'Physical footprint' },
+    { id: 'wiring', name: 'Wire feasibility' },
+    { id: 'electrical', name: 'Electrical rules' },
+    { id: 'topology', name: 'Topology' },
+    { id: 'component-rules', name: 'Component rules' },
+    { id: 'operating-point', name: 'DC operating point' }
+];
+
+// Breadboard units to millimetres (one 2.54mm hole pitch is 8.982 units)
+CircuitValidator.MM_PER_UNIT = 2.54 / 8.982;
+
+// Jumper wires available (lengths in mm). Board-to-board wires use the pre-cut spans
+// (1-10 holes, then 2-5 inch); wires to the off-board Pico use flexible leads
+CircuitValidator.JUMPER_KIT = {
+    preCut: [2.54, 5.08, 7.62, 10.16, 12.7, 15.24, 17.78, 20.32, 22.86, 25.4, 50.8, 76.2, 101.6, 127],
+    flexible: [100, 150, 200],
+    slack: 1.2,        // flexible leads need ~20% extra to reach down into the holes
+    maxLength: 200     // longest wire allowed (wires no kit size fits are cut to length)
+};
+
+// Supplies within this many volts count as the same domain (VBUS 5V vs VSYS ~4.7V)
+CircuitValidator.SUPPLY_TOLERANCE = 0.5;
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = CircuitValidator;
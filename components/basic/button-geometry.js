@@ -50,6 +50,13 @@ const BUTTON_CONFIG = {
         scale: 1,  // Smaller for better fit on breadboard
         verticalOffset: -27  // Adjusted so button legs insert into holes (like LED)
     },
+
+    // Physical outline for collision checks (breadboard units, 8.982 = 2.54mm hole pitch)
+    // The rendered symbol is much larger than the part: a 2-leg 6 x 3.5mm switch
+    footprint: {
+        length: 21.2,   // 6mm, along the legs
+        width: 12.4     // 3.5mm
+    },
     
     default_orientation: 'vertical',
     polarity: 'non-polarized',
@@ -188,6 +195,33 @@ function validateButtonPlacement(placement, breadboardHoles) {
     return { valid: true };
 }
 
+/**
+ * Physical outline of a button (for collision checks)
+ * Body is centered between the legs, long side along them; legs only show if spread wider than the body
+ * @returns {Object|null} { body: { shape: 'rect', cx, cy, length, width, angle }, legs: [{ pin, x1, y1, x2, y2 }] }
+ */
+function calculateButtonFootprint(placement, breadboardHoles) {
+    const position = calculateButtonPosition(placement, breadboardHoles);
+    if (!position) return null;
+
+    const { centerX, centerY, leg0Coords, leg1Coords, actualSpacing } = position;
+    const { length, width } = BUTTON_CONFIG.footprint;
+    const angle = Math.atan2(leg1Coords.y - leg0Coords.y, leg1Coords.x - leg0Coords.x);
+
+    const legLength = (actualSpacing - length) / 2;
+    const dx = Math.cos(angle) * legLength;
+    const dy = Math.sin(angle) * legLength;
+    const legs = legLength > 0 ? [
+        { pin: 'leg0', x1: leg0Coords.x, y1: leg0Coords.y, x2: leg0Coords.x + dx, y2: leg0Coords.y + dy },
+        { pin: 'leg1', x1: leg1Coords.x, y1: leg1Coords.y, x2: leg1Coords.x - dx, y2: leg1Coords.y - dy }
+    ] : [];
+
+    return {
+        body: { shape: 'rect', cx: centerX, cy: centerY, length, width, angle },
+        legs
+    };
+}
+
 /**
  * Calculate scale factor for button (typically fixed)
  */
@@ -204,6 +238,7 @@ if (typeof module !== 'undefined' && module.exports) {
         BUTTON_CONFIG,
         calculateButtonPosition,
         validateButtonPlacement,
-        calculateButtonScale
+        calculateButtonScale,
+        calculateButtonFootprint
     };
 }
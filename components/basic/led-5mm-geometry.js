@@ -157,6 +157,46 @@ function calculateLEDPosition(placement, breadboardHoles) {
     };
 }
 
+/**
+ * Physical outline of a standing LED (for collision checks)
+ * The lens is a circle of the rendered LED width (~5mm) around the pins' midpoint. It stands
+ * on its legs, so at board level the LED only takes the strip between its legs (base);
+ * legs spread wider than the lens run bare from each hole to its rim
+ * @returns {Object|null} { body: { shape: 'circle', cx, cy, r }, base: { shape: 'rect', ... }, legs: [{ pin, x1, y1, x2, y2 }] }
+ */
+function calculateLEDFootprint(placement, breadboardHoles) {
+    const position = calculateLEDPosition(placement, breadboardHoles);
+    if (!position) return null;
+
+    const { centerX, centerY, cathodeCoords, anodeCoords } = position;
+    const r = LED_5MM_CONFIG.svg.width * LED_5MM_CONFIG.rendering.scale / 2;
+
+    const legs = [['cathode', cathodeCoords], ['anode', anodeCoords]]
+        .map(([pin, hole]) => {
+            const dx = centerX - hole.x;
+            const dy = centerY - hole.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance <= r) return null;
+
+            const t = (distance - r) / distance;
+            return { pin, x1: hole.x, y1: hole.y, x2: hole.x + dx * t, y2: hole.y + dy * t };
+        })
+        .filter(Boolean);
+
+    return {
+        body: { shape: 'circle', cx: centerX, cy: centerY, r },
+        base: {
+            shape: 'rect',
+            cx: centerX,
+            cy: centerY,
+            length: Math.hypot(anodeCoords.x - cathodeCoords.x, anodeCoords.y - cathodeCoords.y),
+            width: 1,    // just the line of the legs
+            angle: Math.atan2(anodeCoords.y - cathodeCoords.y, anodeCoords.x - cathodeCoords.x)
+        },
+        legs
+    };
+}
+
 /**
  * Validate LED placement (same for all colors)
  */
@@ -260,6 +300,7 @@ if (typeof module !== 'undefined' && module.exports) {
         LED_5MM_CONFIG,
         calculateLEDPosition,
         validateLEDPlacement,
+        calculateLEDFootprint,
         extractLEDColor
     };
 }
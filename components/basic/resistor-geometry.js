@@ -53,6 +53,12 @@ const RESISTOR_CONFIG = {
         minScale: 0.4,
         maxScale: 1.2
     },
+
+    // Physical outline for collision checks (breadboard units, 8.982 = 2.54mm hole pitch)
+    // Body length follows the rendered body; the body is round, so its width is its diameter
+    footprint: {
+        bodyDiameter: 8.5   // ~2.4mm (1/4 W)
+    },
     
     default_orientation: 'horizontal',
     polarity: 'non-polarized',
@@ -243,6 +249,43 @@ function calculateResistorScale(actualSpacing) {
     return scale;
 }
 
+/**
+ * Physical outline of a resistor lying flat on the board (for collision checks)
+ * Body is centered between the pins at its rendered length - but the real body doesn't stretch,
+ * so past the standard spacing only the legs get longer. Bare legs run from each hole to the body
+ * @returns {Object|null} { body: { shape: 'rect', cx, cy, length, width, angle }, legs: [{ pin, x1, y1, x2, y2 }] }
+ */
+function calculateResistorFootprint(placement, breadboardHoles) {
+    const position = calculateResistorPosition(placement, breadboardHoles);
+    if (!position) return null;
+
+    const { centerX, centerY, pin0Coords, pin1Coords, actualSpacing } = position;
+    const bodySpacing = Math.min(actualSpacing, RESISTOR_CONFIG.pin_spacing.standard);
+    const length = RESISTOR_CONFIG.svg.body.width * calculateResistorScale(bodySpacing);
+    const angle = Math.atan2(pin1Coords.y - pin0Coords.y, pin1Coords.x - pin0Coords.x);
+
+    // Legs are hidden under the body when the pins are closer together than its length
+    const legLength = (actualSpacing - length) / 2;
+    const dx = Math.cos(angle) * legLength;
+    const dy = Math.sin(angle) * legLength;
+    const legs = legLength > 0 ? [
+        { pin: 'pin0', x1: pin0Coords.x, y1: pin0Coords.y, x2: pin0Coords.x + dx, y2: pin0Coords.y + dy },
+        { pin: 'pin1', x1: pin1Coords.x, y1: pin1Coords.y, x2: pin1Coords.x - dx, y2: pin1Coords.y - dy }
+    ] : [];
+
+    return {
+        body: {
+            shape: 'rect',
+            cx: centerX,
+            cy: centerY,
+            length,
+            width: RESISTOR_CONFIG.footprint.bodyDiameter,
+            angle
+        },
+        legs
+    };
+}
+
 /**
  * Extract resistance value from metadata
  * Returns standardized key like '220', '1k', '10k'
@@ -315,6 +358,7 @@ if (typeof module !== 'undefined' && module.exports) {
         calculateResistorPosition,
         validateResistorPlacement,
         calculateResistorScale,
+        calculateResistorFootprint,
         extractResistanceValue,
         getResistorLabel,
         getResistorColorBands
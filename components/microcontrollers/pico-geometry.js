@@ -124,6 +124,11 @@ const PICO_CONFIG = {
  * @returns {Object} {x, y} actual position from DOM
  */
 function initializePico() {
+    // No DOM (Node.js scripts) - use the position index.html renders the board at
+    if (typeof document === 'undefined') {
+        return { ...PICO_CONFIG.default_position };
+    }
+
     const img = document.getElementById(PICO_CONFIG.svg_element_id);
     
     if (!img) {
@@ -0,0 +1,352 @@
+// dc-solver.js
+// DC operating-point solver (nodal analysis) over an extracted netlist
+
+/**
+ * DCSolver - Computes steady-state net voltages, LED currents and resistor power
+ *
+ * Model:
+ * - Pico GND pins are 0 V; GPIO outputs, 3V3_OUT, VBUS and VSYS are ideal voltage sources
+ * - GPIOs wired to a switch (or marked direction: "input" on a wire) are inputs, not sources
+ * - Resistors are linear conductances
+ * - LEDs are piecewise-linear: forward voltage + small series resistance when on, open when off
+ * - Switches are open (not pressed)
+ * - Every unknown net has a tiny leak (gmin) to ground so floating nets stay solvable
+ */
+class DCSolver {
+    constructor(options = {}) {
+        this.options = {
+            gpioOutputVoltage: 3.3,
+            ledOnResistance: 10,     // Ω - dynamic resistance of a lit LED
+            ledOffCurrent: 1e-6,     // A - below this an LED counts as off (only gmin leakage)
+            gmin: 1e-9,              // S - leak to ground for every unknown net
+            maxIterations: 25,       // LED on/off state iterations
+            ...options
+        };
+    }
+
+    /**
+     * Solve the operating point
+     * @param {Object} circuit - The "circuit" object (components, wires)
+     * @param {Netlist} netlist - Nets from NetlistBuilder
+     * @param {Map} componentDefs - componentId -> component definition (library JSON "component")
+     * @returns {Object} { voltages: Map, sources: [], leds: [], resistors: [], converged }
+     */
+    solve(circuit, netlist, componentDefs) {
+        const fixed = this.findFixedNets(circuit, netlist, componentDefs);
+        const elements = this.buildElements(circuit, netlist, componentDefs);
+
+        const unknownNets = netlist.nets
+            .map(net => net.name)
+            .filter(name => !fixed.has(name));
+        const index = new Map(unknownNets.map((name, i) => [name, i]));
+
+        // Start with every LED on and let the iteration turn off reverse-biased ones
+        const leds = elements.filter(el => el.kind === 'led');
+        leds.forEach(led => { led.on = true; });
+
+        let voltages = new Map();
+        let converged = false;
+
+        for (let iteration = 0; iteration < this.options.maxIterations; iteration++) {
+            voltages = this.solveLinear(elements, fixed, index);
+
+            let changed = false;
+            leds.forEach(led => {
+                const vd = this.voltageOf(voltages, led.anodeNet) - this.voltageOf(voltages, led.cathodeNet);
+                const current = led.on ? (vd - led.forwardVoltage) / this.options.ledOnResistance : 0;
+
+                if (led.on && current < 0) {
+                    led.on = false;
+                    changed = true;
+                } else if (!led.on && vd > led.forwardVoltage) {
+                    led.on = true;
+                    changed = true;
+                }
+            });
+
+            if (!changed) {
+                converged = true;
+                break;
+            }
+        }
+
+        return this.collectResults(elements, fixed, voltages, converged);
+    }
+
+    /**
+     * Nets pinned to a known voltage by the Pico (ground, supplies, GPIO outputs)
+     * @returns {Map} net name -> { voltage, pins: [] }
+     */
+    findFixedNets(circuit, netlist, componentDefs) {
+        const fixed = new Map();
+        const inputPins = this.findInputPins(circuit, netlist, componentDefs);
+
+        netlist.nets.forEach(net => {
+            net.pins.forEach(ref => {
+                const [compId, pinName] = ref.split('.');
+                const def = componentDefs.get(compId);
+                if (def?.validation?.electricalType !== 'microcontroller') return;
+
+                const pinDef = def.pins?.[pinName];
+                if (!pinDef) return;
+
+                let voltage = null;
+                if (pinDef.electricalType === 'ground') {
+                    voltage = 0;
+                } else if (pinDef.electricalType === 'power') {
+                    voltage = pinDef.voltage ?? pinDef.nominalVoltage ?? null;
+                } else if (pinDef.electricalType === 'gpio' && !inputPins.has(ref)) {
+                    voltage = def.validation.ioVoltage ?? this.options.gpioOutputVoltage;
+                }
+
+                if (voltage === null) return;
+
+                // First source wins; conflicting supplies are reported by voltage-domain checks
+                if (!fixed.has(net.name)) {
+                    fixed.set(net.name, { voltage, pins: [] });
+                }
+                fixed.get(net.name).pins.push(ref);
+            });
+        });
+
+        return fixed;
+    }
+
+    /**
+     * GPIO pins acting as inputs: wired to a switch, or a wire marked direction "input"
+     */
+    findInputPins(circuit, netlist, componentDefs) {
+        const inputs = new Set();
+
+        (circuit.wires || []).forEach(wire => {
+            if (wire.properties?.direction !== 'input') return;
+            [wire.from, wire.to].forEach(endpoint => {
+                if (typeof endpoint === 'string' && endpoint.includes('.')) inputs.add(endpoint);
+            });
+        });
+
+        netlist.nets.forEach(net => {
+            const hasSwitch = net.pins.some(ref => {
+                const def = componentDefs.get(ref.split('.')[0]);
+                return def?.validation?.electricalType === 'switch';
+            });
+            if (hasSwitch) {
+                net.pins.forEach(ref => inputs.add(ref));
+            }
+        });
+
+        return inputs;
+    }
+
+    /**
+     * Two-terminal elements between nets (resistors and LEDs)
+     */
+    buildElements(circuit, netlist, componentDefs) {
+        const elements = [];
+
+        (circuit.components || []).forEach(comp => {
+            const def = componentDefs.get(comp.id);
+            const type = def?.validation?.electricalType;
+            const netOf = pin => netlist.getNetForPin(`${comp.id}.${pin}`)?.name || null;
+
+            if (type === 'resistor') {
+                const resistance = comp.properties?.resistance ?? def.properties?.resistance;
+                const pins = Object.keys(comp.placement || {});
+                if (!resistance || pins.length !== 2) return;
+
+                elements.push({
+                    kind: 'resistor',
+                    id: comp.id,
+                    resistance,
+                    netA: netOf(pins[0]),
+                    netB: netOf(pins[1])
+                });
+            }
+
+            if (type === 'led') {
+                const forwardVoltage = def.validation.forwardVoltage ?? def.properties?.forwardVoltage;
+                if (forwardVoltage === undefined) return;
+
+                elements.push({
+                    kind: 'led',
+                    id: comp.id,
+                    forwardVoltage,
+                    anodeNet: netOf('anode'),
+                    cathodeNet: netOf('cathode'),
+                    on: true
+                });
+            }
+        });
+
+        return elements;
+    }
+
+    /**
+     * Build and solve G·V = I for the unknown nets
+     */
+    solveLinear(elements, fixed, index) {
+        const n = index.size;
+        const G = Array.from({ length: n }, () => new Array(n).fill(0));
+        const I = new Array(n).fill(0);
+
+        for (let i = 0; i < n; i++) {
+            G[i][i] += this.options.gmin;
+        }
+
+        // Stamp a conductance between two nets plus a constant injected current
+        const stamp = (netA, netB, conductance, injectedIntoA) => {
+            const a = index.has(netA) ? index.get(netA) : null;
+            const b = index.has(netB) ? index.get(netB) : null;
+            const fixedA = fixed.get(netA)?.voltage;
+            const fixedB = fixed.get(netB)?.voltage;
+
+            if (a !== null) {
+                G[a][a] += conductance;
+                I[a] += injectedIntoA;
+                if (b !== null) G[a][b] -= conductance;
+                else if (fixedB !== undefined) I[a] += conductance * fixedB;
+            }
+            if (b !== null) {
+                G[b][b] += conductance;
+                I[b] -= injectedIntoA;
+                if (a !== null) G[b][a] -= conductance;
+                else if (fixedA !== undefined) I[b] += conductance * fixedA;
+            }
+        };
+
+        elements.forEach(el => {
+            if (el.kind === 'resistor' && el.netA && el.netB) {
+                stamp(el.netA, el.netB, 1 / el.resistance, 0);
+            }
+            if (el.kind === 'led' && el.on && el.anodeNet && el.cathodeNet) {
+                const g = 1 / this.options.ledOnResistance;
+                stamp(el.anodeNet, el.cathodeNet, g, g * el.forwardVoltage);
+            }
+        });
+
+        const solution = this.gaussianElimination(G, I);
+
+        const voltages = new Map();
+        fixed.forEach((source, name) => voltages.set(name, source.voltage));
+        index.forEach((i, name) => voltages.set(name, solution[i]));
+        return voltages;
+    }
+
+    /**
+     * Solve a dense linear system with partial pivoting
+     */
+    gaussianElimination(A, b) {
+        const n = b.length;
+        const M = A.map((row, i) => [...row, b[i]]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+            }
+            [M[col], M[pivot]] = [M[pivot], M[col]];
+
+            if (Math.abs(M[col][col]) < 1e-18) continue;
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = M[row][col] / M[col][col];
+                if (factor === 0) continue;
+                for (let k = col; k <= n; k++) {
+                    M[row][k] -= factor * M[col][k];
+                }
+            }
+        }
+
+        const x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = M[row][n];
+            for (let k = row + 1; k < n; k++) {
+                sum -= M[row][k] * x[k];
+            }
+            x[row] = Math.abs(M[row][row]) < 1e-18 ? 0 : sum / M[row][row];
+        }
+        return x;
+    }
+
+    voltageOf(voltages, netName) {
+        if (!netName) return 0;
+        return voltages.get(netName) ?? 0;
+    }
+
+    collectResults(elements, fixed, voltages, converged) {
+        const leds = [];
+        const resistors = [];
+        const sourceCurrents = new Map();
+        fixed.forEach((source, name) => sourceCurrents.set(name, 0));
+
+        // Current leaving a fixed net through an element is current sourced by that net
+        const addSourced = (netName, current) => {
+            if (sourceCurrents.has(netName)) {
+                sourceCurrents.set(netName, sourceCurrents.get(netName) + current);
+            }
+        };
+
+        elements.forEach(el => {
+            if (el.kind === 'resistor') {
+                const vA = this.voltageOf(voltages, el.netA);
+                const vB = this.voltageOf(voltages, el.netB);
+                const connected = Boolean(el.netA && el.netB);
+                const current = connected ? (vA - vB) / el.resistance : 0;
+
+                resistors.push({
+                    id: el.id,
+                    resistance: el.resistance,
+                    voltage: connected ? vA - vB : 0,
+                    current,
+                    power: current * current * el.resistance
+                });
+                if (connected) {
+                    addSourced(el.netA, current);
+                    addSourced(el.netB, -current);
+                }
+            }
+
+            if (el.kind === 'led') {
+                const vd = this.voltageOf(voltages, el.anodeNet) - this.voltageOf(voltages, el.cathodeNet);
+                const connected = Boolean(el.anodeNet && el.cathodeNet);
+                const current = connected && el.on
+                    ? Math.max(0, (vd - el.forwardVoltage) / this.options.ledOnResistance)
+                    : 0;
+
+                leds.push({
+                    id: el.id,
+                    on: connected && el.on && current > this.options.ledOffCurrent,
+                    current,
+                    voltage: vd,
+                    forwardVoltage: el.forwardVoltage
+                });
+                if (current > 0) {
+                    addSourced(el.anodeNet, current);
+                    addSourced(el.cathodeNet, -current);
+                }
+            }
+        });
+
+        const sources = [];
+        fixed.forEach((source, name) => {
+            sources.push({
+                net: name,
+                voltage: source.voltage,
+                pins: source.pins,
+                current: sourceCurrents.get(name)
+            });
+        });
+
+        return { voltages, sources, leds, resistors, converged };
+    }
+}
+
+// Make DCSolver globally available
+if (typeof window !== 'undefined') {
+    window.DCSolver = DCSolver;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DCSolver;
+}
@@ -0,0 +1,217 @@
+// footprint-checker.js
+// Physical collision checks between placed parts (bodies, bare legs, covered holes)
+
+/**
+ * FootprintChecker - Finds parts that can't physically share the board as placed
+ *
+ * Footprints come from each component's geometry script (calculateResistorFootprint, ...),
+ * in breadboard SVG units:
+ *   {
+ *     body: { shape: 'rect', cx, cy, length, width, angle } | { shape: 'circle', cx, cy, r },
+ *     base: shape,                         // optional - board-level outline of a body raised on its legs
+ *     legs: [{ pin, x1, y1, x2, y2 }]      // bare leads lying on the board, hole first
+ *   }
+ *
+ * A raised body (LED lens) only meets other raised bodies; flat parts, legs and holes
+ * beside it only collide with its base.
+ *
+ * check() reports:
+ *   overlaps      - two bodies closer than the clearance
+ *   legsUnderBody - a bare leg running under another part's body
+ *   crossedLegs   - bare legs of two parts crossing each other
+ *   coveredHoles  - a hole another part or wire uses lies under a body
+ * A pair of parts whose bodies overlap is only reported once (as an overlap).
+ */
+class FootprintChecker {
+    constructor(options = {}) {
+        this.clearance = options.clearance ?? FootprintChecker.CLEARANCE;
+    }
+
+    /**
+     * @param {Array} parts - [{ id, type, footprint, placement }]
+     * @param {Array} occupants - [{ owner, ref, holeId, x, y }] every hole a part pin or wire end uses
+     * @returns {Object} { overlaps: [{ a, b }], legsUnderBody: [{ part, leg, other }],
+     *                     crossedLegs: [{ a, legA, b, legB }], coveredHoles: [{ part, occupant }] }
+     */
+    check(parts, occupants) {
+        const result = { overlaps: [], legsUnderBody: [], crossedLegs: [], coveredHoles: [] };
+        const overlapping = new Set();
+        const pairKey = (a, b) => [a.id, b.id].sort().join('|');
+
+        parts.forEach((a, i) => {
+            parts.slice(i + 1).forEach(b => {
+                if (this.partsCollide(a.footprint, b.footprint)) {
+                    result.overlaps.push({ a, b });
+                    overlapping.add(pairKey(a, b));
+                }
+            });
+        });
+
+        parts.forEach(part => {
+            parts.filter(other => other !== part && !overlapping.has(pairKey(part, other))).forEach(other => {
+                const ownHoles = Object.values(other.placement);
+                part.footprint.legs
+                    .filter(leg => !ownHoles.includes(part.placement[leg.pin]))
+                    .filter(leg => this.segmentHitsBody(leg, this.boardOutline(other.footprint)))
+                    .forEach(leg => result.legsUnderBody.push({ part, leg, other }));
+            });
+        });
+
+        parts.forEach((a, i) => {
+            parts.slice(i + 1).filter(b => !overlapping.has(pairKey(a, b))).forEach(b => {
+                a.footprint.legs.forEach(legA => {
+                    b.footprint.legs
+                        .filter(legB => this.segmentsCross(legA, legB))
+                        .forEach(legB => result.crossedLegs.push({ a, legA, b, legB }));
+                });
+            });
+        });
+
+        occupants.forEach(occupant => {
+            parts.forEach(part => {
+                // A hole shared with the part's own pin is a plain occupancy conflict
+                if (occupant.owner === part.id || Object.values(part.placement).includes(occupant.holeId)) return;
+                if (overlapping.has([part.id, occupant.owner].sort().join('|'))) return;
+                if (this.containsPoint(this.boardOutline(part.footprint), occupant)) {
+                    result.coveredHoles.push({ part, occupant });
+                }
+            });
+        });
+
+        return result;
+    }
+
+    // ============================================================
+    // GEOMETRY
+    // ============================================================
+
+    partsCollide(a, b) {
+        if (a.base && b.base) return this.bodiesOverlap(a.body, b.body);
+        return this.bodiesOverlap(this.boardOutline(a), this.boardOutline(b));
+    }
+
+    boardOutline(footprint) {
+        return footprint.base || footprint.body;
+    }
+
+    /**
+     * Bodies closer than the clearance collide (parts can't be pushed flush against each other)
+     */
+    bodiesOverlap(a, b) {
+        if (a.shape === 'circle' && b.shape === 'circle') {
+            return Math.hypot(a.cx - b.cx, a.cy - b.cy) < a.r + b.r + this.clearance;
+        }
+        if (a.shape === 'circle') return this.circleNearRect(a, b);
+        if (b.shape === 'circle') return this.circleNearRect(b, a);
+        return this.rectsNear(a, b);
+    }
+
+    circleNearRect(circle, rect) {
+        const { u, v } = this.toLocal(rect, circle.cx, circle.cy);
+        const halfLength = rect.length / 2;
+        const halfWidth = rect.width / 2;
+        const nearestU = Math.max(-halfLength, Math.min(halfLength, u));
+        const nearestV = Math.max(-halfWidth, Math.min(halfWidth, v));
+        return Math.hypot(u - nearestU, v - nearestV) < circle.r + this.clearance;
+    }
+
+    /**
+     * Separating axis test on the two rectangles' edge directions
+     */
+    rectsNear(a, b) {
+        const axes = [a.angle, a.angle + Math.PI / 2, b.angle, b.angle + Math.PI / 2]
+            .map(angle => ({ x: Math.cos(angle), y: Math.sin(angle) }));
+        const extent = (rect, axis) =>
+            rect.length / 2 * Math.abs(Math.cos(rect.angle) * axis.x + Math.sin(rect.angle) * axis.y) +
+            rect.width / 2 * Math.abs(-Math.sin(rect.angle) * axis.x + Math.cos(rect.angle) * axis.y);
+
+        return axes.every(axis => {
+            const distance = Math.abs((b.cx - a.cx) * axis.x + (b.cy - a.cy) * axis.y);
+            return distance < extent(a, axis) + extent(b, axis) + this.clearance;
+        });
+    }
+
+    /**
+     * Does a leg pass under a body (touching its outline doesn't count)
+     */
+    segmentHitsBody(segment, body) {
+        if (body.shape === 'circle') {
+            return this.distanceToSegment(body.cx, body.cy, segment) < body.r;
+        }
+
+        // Clip the segment against the rectangle in its own frame (Liang-Barsky)
+        const start = this.toLocal(body, segment.x1, segment.y1);
+        const end = this.toLocal(body, segment.x2, segment.y2);
+        const du = end.u - start.u;
+        const dv = end.v - start.v;
+        const halfLength = body.length / 2;
+        const halfWidth = body.width / 2;
+
+        let t0 = 0;
+        let t1 = 1;
+        const edges = [
+            [-du, start.u + halfLength], [du, halfLength - start.u],
+            [-dv, start.v + halfWidth], [dv, halfWidth - start.v]
+        ];
+        for (const [p, q] of edges) {
+            if (p === 0) {
+                if (q <= 0) return false;
+                continue;
+            }
+            const t = q / p;
+            if (p < 0) t0 = Math.max(t0, t);
+            else t1 = Math.min(t1, t);
+        }
+        return t0 < t1;
+    }
+
+    /**
+     * Proper crossing of two segments (sharing an end or running alongside doesn't count)
+     */
+    segmentsCross(a, b) {
+        const side = (x1, y1, x2, y2, x, y) => Math.sign((x2 - x1) * (y - y1) - (y2 - y1) * (x - x1));
+        return side(a.x1, a.y1, a.x2, a.y2, b.x1, b.y1) * side(a.x1, a.y1, a.x2, a.y2, b.x2, b.y2) < 0 &&
+            side(b.x1, b.y1, b.x2, b.y2, a.x1, a.y1) * side(b.x1, b.y1, b.x2, b.y2, a.x2, a.y2) < 0;
+    }
+
+    containsPoint(body, point) {
+        if (body.shape === 'circle') {
+            return Math.hypot(point.x - body.cx, point.y - body.cy) < body.r;
+        }
+        const { u, v } = this.toLocal(body, point.x, point.y);
+        return Math.abs(u) < body.length / 2 && Math.abs(v) < body.width / 2;
+    }
+
+    distanceToSegment(x, y, segment) {
+        const dx = segment.x2 - segment.x1;
+        const dy = segment.y2 - segment.y1;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 :
+            Math.max(0, Math.min(1, ((x - segment.x1) * dx + (y - segment.y1) * dy) / lengthSquared));
+        return Math.hypot(x - (segment.x1 + t * dx), y - (segment.y1 + t * dy));
+    }
+
+    /**
+     * Point in a rectangle's frame: u along its length, v across it
+     */
+    toLocal(rect, x, y) {
+        const dx = x - rect.cx;
+        const dy = y - rect.cy;
+        const cos = Math.cos(rect.angle);
+        const sin = Math.sin(rect.angle);
+        return { u: dx * cos + dy * sin, v: -dx * sin + dy * cos };
+    }
+}
+
+// Minimum gap between two bodies, in breadboard units (~0.25mm)
+FootprintChecker.CLEARANCE = 0.9;
+
+// Make FootprintChecker globally available
+if (typeof window !== 'undefined') {
+    window.FootprintChecker = FootprintChecker;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FootprintChecker;
+}
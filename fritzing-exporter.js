@@ -0,0 +1,417 @@
+// fritzing-exporter.js
+// Fritzing sketch (.fz) export - half breadboard, parts and wires in breadboard view
+
+/**
+ * FritzingExporter - Writes a circuit as a Fritzing sketch so it can be continued in Fritzing
+ *
+ * Breadboard view coordinates are the app's own: the board SVG is Fritzing's Half_breadboard56a,
+ * drawn 1:1 (one unit = one Fritzing pixel), so holes keep their x/y. Hole "15E" is the
+ * board's connector "pin15E"; the app numbers rail holes 1-25 where Fritzing skips a
+ * column between groups of five, and its W/X/Y/Z rows run bottom to top.
+ *
+ * Each component JSON maps its type in rendering.fritzing:
+ *   "fritzing": {
+ *     "moduleIdRef": "ResistorModuleID",
+ *     "path": ":/resources/parts/core/resistor.fzp",
+ *     "title": "R",                                     // instance titles R1, R2, ...
+ *     "properties": { "resistance": "220Ω" },
+ *     "legs": { "connector0": { "x": 2.6, "y": 4.5 } }, // bendable legs - where each leaves the body
+ *     "connectors": { "connector0": { "x": 26.4, "y": 68.2 } }, // or fixed pins
+ *     "scale": 1.25,                                    // part SVG size vs. the app's (off-board parts)
+ *     "bundle": { "part.X.fzp": "fritzing_data/..." }   // files a non-core part needs in the .fzz
+ *   }
+ * Offsets are in Fritzing pixels from the part's top-left. Legged parts are centred on their
+ * holes with each leg stretched to its hole; fixed-pin parts put their first pin on its hole.
+ * Both turn in 90° steps to follow the placement.
+ */
+class FritzingExporter {
+    constructor(options = {}) {
+        this.options = {
+            fritzingVersion: '1.0.3',
+            ...options
+        };
+    }
+
+    /**
+     * Build the .fz sketch
+     * @param {Object} circuit - The "circuit" object (metadata, components, wires)
+     * @param {Map} componentDefs - componentId -> component definition, including preplaced parts (pico1)
+     * @param {Object} geometry - { holes: BREADBOARD_HOLES, pico: scope with getPicoPin/getPicoBounds }
+     * @returns {string} Sketch XML
+     */
+    build(circuit, componentDefs, geometry) {
+        const holeMap = new Map(geometry.holes.map(hole => [hole.id, hole]));
+        const instances = [];
+        const byId = new Map();
+        const skipped = [];
+        const counters = new Map();
+        let modelIndex = FritzingExporter.FIRST_MODEL_INDEX;
+
+        const addInstance = instance => {
+            instance.modelIndex = modelIndex++;
+            instance.connectors = new Map();
+            instances.push(instance);
+            return instance;
+        };
+        const nextTitle = prefix => {
+            const count = (counters.get(prefix) || 0) + 1;
+            counters.set(prefix, count);
+            return `${prefix}${count}`;
+        };
+
+        const pin1A = holeMap.get('1A');
+        const board = addInstance({
+            ...FritzingExporter.BREADBOARD,
+            title: nextTitle('Breadboard'),
+            layer: 'breadboardbreadboard',
+            z: 1.5,
+            x: pin1A.x - FritzingExporter.BREADBOARD.pin1A.x,
+            y: pin1A.y - FritzingExporter.BREADBOARD.pin1A.y
+        });
+
+        // Preplaced Pico, off the board at the app's position
+        const picoDef = componentDefs.get('pico1');
+        const picoMap = picoDef?.rendering?.fritzing;
+        let pico = null;
+        if (picoMap && geometry.pico?.getPicoBounds) {
+            const bounds = geometry.pico.getPicoBounds();
+            pico = addInstance({
+                id: 'pico1', def: picoDef, map: picoMap, title: nextTitle(picoMap.title), layer: 'breadboard',
+                z: 2.5, x: bounds.x, y: bounds.y, properties: picoMap.properties
+            });
+            byId.set('pico1', pico);
+        } else {
+            skipped.push('pico1 (raspberry-pi-pico)');
+        }
+
+        (circuit.components || []).forEach((comp, i) => {
+            const def = componentDefs.get(comp.id);
+            const map = def?.rendering?.fritzing;
+            const pins = Object.keys(comp.placement || {}).filter(pin => holeMap.has(comp.placement[pin]));
+            if (!map || pins.length === 0) {
+                skipped.push(`${comp.id} (${comp.type})`);
+                return;
+            }
+
+            const part = addInstance({
+                id: comp.id, def, map, placement: comp.placement, title: nextTitle(map.title), layer: 'breadboard',
+                z: 2.5 + (i + 1) * 0.0001, properties: this.partProperties(comp, def, map),
+                ...this.placePart(map, pins.map(pin => ({
+                    connectorId: def.pins[pin]?.connectorId,
+                    hole: holeMap.get(comp.placement[pin])
+                })).filter(target => target.connectorId))
+            });
+            byId.set(comp.id, part);
+
+            pins.forEach(pin => {
+                const connectorId = def.pins[pin]?.connectorId;
+                if (connectorId) {
+                    this.connect(part, connectorId, board, this.boardConnector(comp.placement[pin]));
+                }
+            });
+        });
+
+        (circuit.wires || []).forEach((wire, i) => {
+            const ends = [wire.from, wire.to].map(ref => this.resolveEndpoint(ref, holeMap, byId, board, pico, geometry));
+            if (ends.some(end => !end)) {
+                skipped.push(`wire ${wire.id}`);
+                return;
+            }
+
+            const [from, to] = ends;
+            const instance = addInstance({
+                ...FritzingExporter.WIRE,
+                id: wire.id,
+                title: nextTitle('Wire'),
+                layer: 'breadboardWire',
+                z: 3.5 + (i + 1) * 0.0001,
+                x: from.x,
+                y: from.y,
+                dx: to.x - from.x,
+                dy: to.y - from.y,
+                color: this.wireColor(wire)
+            });
+            ends.forEach((end, index) => this.connect(instance, `connector${index}`, end.instance, end.connectorId));
+        });
+
+        if (skipped.length > 0) {
+            console.warn(`⚠ Left out of the Fritzing sketch: ${skipped.join(', ')}`);
+        }
+        console.log(`✓ Fritzing sketch: ${instances.length - 1} part(s) and wire(s) on a half breadboard`);
+        return this.writeSketch(instances);
+    }
+
+    /**
+     * Files a .fzz bundle needs besides the sketch (custom parts' fzp and SVGs)
+     * @returns {Array} [{ name, path }] - path relative to the project root
+     */
+    listBundleFiles(componentDefs) {
+        const files = new Map();
+        componentDefs.forEach(def => {
+            Object.entries(def?.rendering?.fritzing?.bundle || {}).forEach(([name, path]) => files.set(name, path));
+        });
+        return Array.from(files, ([name, path]) => ({ name, path }));
+    }
+
+    // ============================================================
+    // PLACEMENT
+    // ============================================================
+
+    /**
+     * Position, rotation and legs that land a part's connectors on its holes
+     * @param {Array} targets - [{ connectorId, hole }]
+     */
+    placePart(map, targets) {
+        const offsets = map.legs || map.connectors || {};
+        const anchored = targets.filter(target => offsets[target.connectorId]);
+        if (anchored.length === 0) {
+            return { x: targets[0].hole.x, y: targets[0].hole.y, rotation: 0, legs: new Map() };
+        }
+
+        const anchors = anchored.map(target => offsets[target.connectorId]);
+        const holes = anchored.map(target => target.hole);
+        const first = 0;
+        const last = anchored.length - 1;
+
+        let rotation = 0;
+        if (last > first) {
+            const holeAngle = Math.atan2(holes[last].y - holes[first].y, holes[last].x - holes[first].x);
+            const anchorAngle = Math.atan2(anchors[last].y - anchors[first].y, anchors[last].x - anchors[first].x);
+            rotation = ((Math.round((holeAngle - anchorAngle) / (Math.PI / 2)) % 4) + 4) % 4 * 90;
+        }
+
+        const rotate = point => this.rotate(point, rotation);
+        const mean = points => ({
+            x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+            y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+        });
+
+        // Legged parts sit centred over their holes; fixed pins put the first one in its hole
+        const [hole, anchor] = map.legs ? [mean(holes), mean(anchors)] : [holes[first], anchors[first]];
+        const turned = rotate(anchor);
+        const x = hole.x - turned.x;
+        const y = hole.y - turned.y;
+
+        const legs = new Map();
+        if (map.legs) {
+            anchored.forEach((target, i) => {
+                const end = this.rotate({ x: target.hole.x - x, y: target.hole.y - y }, -rotation);
+                legs.set(target.connectorId, [anchors[i], end]);
+            });
+        }
+
+        return { x, y, rotation, legs };
+    }
+
+    rotate(point, degrees) {
+        const radians = degrees * Math.PI / 180;
+        const cos = Math.round(Math.cos(radians));
+        const sin = Math.round(Math.sin(radians));
+        return { x: point.x * cos - point.y * sin, y: point.x * sin + point.y * cos };
+    }
+
+    /**
+     * Instance, connector and scene position for a wire end ("15E", "pico1.GP0", "r1.pin0")
+     */
+    resolveEndpoint(ref, holeMap, byId, board, pico, geometry) {
+        if (typeof ref !== 'string') return null;
+
+        if (holeMap.has(ref)) {
+            const hole = holeMap.get(ref);
+            return { instance: board, connectorId: this.boardConnector(ref), x: hole.x, y: hole.y };
+        }
+
+        const [compId, pinName] = ref.split('.');
+        const part = byId.get(compId);
+        const pinDef = part?.def.pins?.[pinName];
+        if (!pinDef?.connectorId) return null;
+
+        if (part === pico) {
+            const pin = geometry.pico.getPicoPin(ref);
+            if (!pin) return null;
+            // Fritzing draws the Pico's SVG larger than the app does
+            const scale = part.map.scale || 1;
+            return {
+                instance: part,
+                connectorId: pinDef.connectorId,
+                x: part.x + (pin.x - part.x) * scale,
+                y: part.y + (pin.y - part.y) * scale
+            };
+        }
+
+        // A wire on a part's pin ends in the hole that pin is plugged into
+        const hole = holeMap.get(part.placement?.[pinName]);
+        if (!hole) return null;
+        return { instance: part, connectorId: pinDef.connectorId, x: hole.x, y: hole.y };
+    }
+
+    /**
+     * Board connector for an app hole id - rails are renumbered and their rows mirrored
+     */
+    boardConnector(holeId) {
+        const rail = holeId.match(/^(\d+)([WXYZ])$/);
+        if (!rail) return `pin${holeId}`;
+
+        const index = Number(rail[1]) - 1;
+        const column = 3 + Math.floor(index / 5) * 6 + index % 5;
+        return `pin${column}${FritzingExporter.RAIL_ROWS[rail[2]]}`;
+    }
+
+    /**
+     * Record a connection on both ends (Fritzing lists it under each connector)
+     */
+    connect(a, connectorA, b, connectorB) {
+        const add = (from, connectorId, to, toConnector) => {
+            if (!from.connectors.has(connectorId)) from.connectors.set(connectorId, []);
+            from.connectors.get(connectorId).push({ instance: to, connectorId: toConnector });
+        };
+        add(a, connectorA, b, connectorB);
+        add(b, connectorB, a, connectorA);
+    }
+
+    partProperties(comp, def, map) {
+        const properties = { ...map.properties };
+        const resistance = comp.properties?.resistance;
+        if (resistance !== undefined && 'resistance' in properties) {
+            properties.resistance = resistance >= 1000 ? `${resistance / 1000}kΩ` : `${resistance}Ω`;
+        }
+        return properties;
+    }
+
+    wireColor(wire) {
+        const name = String(wire.properties?.color || wire.color || '').toLowerCase();
+        return FritzingExporter.WIRE_COLORS[name] || FritzingExporter.WIRE_COLORS.blue;
+    }
+
+    // ============================================================
+    // XML
+    // ============================================================
+
+    writeSketch(instances) {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<module fritzingVersion="${this.options.fritzingVersion}">`,
+            '  <views>',
+            '    <view name="breadboardView" backgroundColor="#ffffff" gridSize="0.1in" showGrid="1" alignToGrid="1" viewFromBelow="0"/>',
+            '    <view name="schematicView" backgroundColor="#ffffff" gridSize="0.3in" showGrid="1" alignToGrid="1" viewFromBelow="0"/>',
+            '    <view name="pcbView" backgroundColor="#333333" gridSize="0.05in" showGrid="1" alignToGrid="1" viewFromBelow="0"/>',
+            '  </views>',
+            '  <instances>'
+        ];
+
+        instances.forEach(instance => lines.push(...this.writeInstance(instance)));
+
+        lines.push('  </instances>');
+        lines.push('</module>');
+        return lines.join('\n') + '\n';
+    }
+
+    writeInstance(instance) {
+        const a = value => this.escape(value);
+        const n = value => Math.round(value * 1000) / 1000;
+        const lines = [`    <instance moduleIdRef="${a(instance.map?.moduleIdRef || instance.moduleIdRef)}" ` +
+            `modelIndex="${instance.modelIndex}" path="${a(instance.map?.path || instance.path)}">`];
+
+        Object.entries(instance.properties || {}).forEach(([name, value]) => {
+            lines.push(`      <property name="${a(name)}" value="${a(value)}"/>`);
+        });
+        lines.push(`      <title>${a(instance.title)}</title>`);
+        lines.push('      <views>');
+        lines.push(`        <breadboardView layer="${instance.layer}">`);
+
+        if (instance.layer === 'breadboardWire') {
+            lines.push(`          <geometry z="${instance.z}" x="${n(instance.x)}" y="${n(instance.y)}" ` +
+                `x1="0" y1="0" x2="${n(instance.dx)}" y2="${n(instance.dy)}" wireFlags="64"/>`);
+            lines.push(`          <wireExtras mils="22.2222" color="${instance.color}" opacity="1" banded="0"/>`);
+        } else if (instance.rotation) {
+            const radians = instance.rotation * Math.PI / 180;
+            const cos = Math.round(Math.cos(radians));
+            const sin = Math.round(Math.sin(radians));
+            lines.push(`          <geometry z="${instance.z}" x="${n(instance.x)}" y="${n(instance.y)}">`);
+            lines.push(`            <transform m11="${cos}" m12="${sin}" m13="0" m21="${-sin}" m22="${cos}" m23="0" m31="0" m32="0" m33="1"/>`);
+            lines.push('          </geometry>');
+        } else {
+            lines.push(`          <geometry z="${instance.z}" x="${n(instance.x)}" y="${n(instance.y)}"/>`);
+        }
+
+        if (instance.connectors.size > 0) {
+            lines.push('          <connectors>');
+            instance.connectors.forEach((connects, connectorId) => {
+                lines.push(`            <connector connectorId="${a(connectorId)}" layer="${instance.layer}">`);
+                lines.push('              <geometry x="0" y="0"/>');
+
+                const leg = instance.legs?.get(connectorId);
+                if (leg) {
+                    lines.push('              <leg>');
+                    leg.forEach(point => lines.push(`                <point x="${n(point.x)}" y="${n(point.y)}"/>`));
+                    lines.push('                <bezier/>');
+                    lines.push('              </leg>');
+                }
+
+                lines.push('              <connects>');
+                connects.forEach(({ instance: other, connectorId: otherConnector }) => {
+                    lines.push(`                <connect connectorId="${a(otherConnector)}" ` +
+                        `modelIndex="${other.modelIndex}" layer="${other.layer}"/>`);
+                });
+                lines.push('              </connects>');
+                lines.push('            </connector>');
+            });
+            lines.push('          </connectors>');
+        }
+
+        lines.push(`        </breadboardView>`);
+        lines.push('      </views>');
+        lines.push('    </instance>');
+        return lines;
+    }
+
+    escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Fritzing's Half_breadboard (fritzing_data/Half_breadboard_v2.xml); pin1A is hole 1A's centre in its SVG
+FritzingExporter.BREADBOARD = {
+    moduleIdRef: '0152b316-ca6e-11ee-a6fa-8be78db221f8BreadboardModuleID',
+    path: ':/resources/parts/core/Half_breadboard_v2.fzp',
+    pin1A: { x: 13.65, y: 144 }
+};
+
+FritzingExporter.WIRE = {
+    moduleIdRef: 'WireModuleID',
+    path: ':/resources/parts/core/wire.fzp'
+};
+
+// App rail row -> Fritzing rail row at the same height
+FritzingExporter.RAIL_ROWS = { W: 'Z', X: 'Y', Y: 'X', Z: 'W' };
+
+// Fritzing's breadboard wire palette
+FritzingExporter.WIRE_COLORS = {
+    blue: '#418dd9',
+    red: '#cc1414',
+    black: '#404040',
+    yellow: '#ffe24d',
+    green: '#47cc79',
+    grey: '#999999',
+    gray: '#999999',
+    white: '#ffffff',
+    orange: '#ff7033',
+    brown: '#8c3b00',
+    purple: '#b673e6'
+};
+
+FritzingExporter.FIRST_MODEL_INDEX = 5000;
+
+// Make FritzingExporter globally available
+if (typeof window !== 'undefined') {
+    window.FritzingExporter = FritzingExporter;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FritzingExporter;
+}
@@ -0,0 +1,487 @@
+// fritzing-importer.js
+// Fritzing sketch (.fz / .fzz) import - breadboard view parts and wires to circuit JSON
+
+/**
+ * FritzingImporter - Converts a Fritzing sketch into a circuit CircuitLoader can render
+ *
+ * The reverse of FritzingExporter, using the same rendering.fritzing mappings:
+ * 1. Instances are matched to library types by moduleIdRef; when several types share one
+ *    (LED colors, resistor values) the part's Fritzing properties pick between them
+ * 2. Part connectors plugged into the breadboard become placement hole ids
+ * 3. Wires become circuit wires - bendpoint chains are merged, and a wire that ends on a
+ *    part's leg moves to the nearest free hole on the same strip
+ * 4. The Pico is the preplaced pico1; if the sketch plugs it into the breadboard, each of
+ *    those pins gets a wire to its hole instead
+ *
+ * Anything that can't be carried over is reported rather than guessed:
+ *   { circuitJSON, unmapped: [{ title, moduleIdRef, reason }], warnings: [string] }
+ */
+class FritzingImporter {
+    constructor(breadboardHoles, options = {}) {
+        this.holes = breadboardHoles;
+        this.holeMap = new Map(breadboardHoles.map(hole => [hole.id, hole]));
+        this.options = {
+            preplaced: { pico1: 'raspberry-pi-pico' },  // id -> type of parts that are not in components
+            ...options
+        };
+    }
+
+    /**
+     * Read a .fz (XML text or bytes) or .fzz (zip) file
+     * @param {string|Uint8Array|ArrayBuffer} source - File contents
+     * @param {Map} library - type -> component definition for every library type
+     * @param {string} name - Circuit name for the metadata (usually the file name)
+     */
+    async read(source, library, name = 'Imported Fritzing sketch') {
+        if (typeof source === 'string') {
+            return this.convert(source, library, name);
+        }
+
+        const bytes = source instanceof Uint8Array ? source : new Uint8Array(source);
+        const isZip = bytes[0] === 0x50 && bytes[1] === 0x4b;  // "PK"
+        if (!isZip) {
+            return this.convert(new TextDecoder().decode(bytes), library, name);
+        }
+
+        const files = await ZipStore.unpack(bytes);
+        const sketch = files.find(file => file.name.toLowerCase().endsWith('.fz'));
+        if (!sketch) {
+            throw new Error('No .fz sketch in the .fzz bundle');
+        }
+        return this.convert(new TextDecoder().decode(sketch.data), library, name);
+    }
+
+    /**
+     * Convert sketch XML
+     * @returns {Object} { circuitJSON, unmapped, warnings }
+     */
+    convert(sketchXml, library, name = 'Imported Fritzing sketch') {
+        const root = this.parseXml(sketchXml);
+        if (root?.name !== 'module') {
+            throw new Error('Not a Fritzing sketch (no <module> root)');
+        }
+
+        const unmapped = [];
+        const warnings = [];
+        const instances = this.readInstances(root).filter(instance => instance.view);
+        const byIndex = new Map(instances.map(instance => [instance.modelIndex, instance]));
+        const idCounters = new Map();
+        let board = null;
+
+        // Classify every breadboard-view instance
+        instances.forEach(instance => {
+            if (instance.moduleIdRef === FritzingExporter.WIRE.moduleIdRef) {
+                instance.role = 'wire';
+            } else if (/BreadboardModuleID$/.test(instance.moduleIdRef)) {
+                if (board) {
+                    unmapped.push(this.unmappedEntry(instance, 'only one breadboard is supported'));
+                    return;
+                }
+                board = instance;
+                instance.role = 'board';
+                if (instance.moduleIdRef !== FritzingExporter.BREADBOARD.moduleIdRef) {
+                    warnings.push(`${instance.title} is not a half breadboard - holes beyond column 30 are dropped`);
+                }
+            } else {
+                this.matchPart(instance, library, unmapped, warnings, idCounters);
+            }
+        });
+
+        if (!board) {
+            warnings.push('No breadboard in the sketch - only wires to the Pico can be imported');
+        }
+
+        const isBoard = connect => board && connect.modelIndex === board.modelIndex;
+        const used = new Set();
+        const components = [];
+        const straps = [];
+
+        // Parts: every connector must sit in a breadboard hole
+        instances.filter(instance => instance.role === 'part').forEach(instance => {
+            const placement = {};
+            instance.view.connectors.forEach(connector => {
+                const pin = this.pinForConnector(instance.def, connector.connectorId);
+                const holeId = connector.connects.filter(isBoard).map(c => this.holeForConnector(c.connectorId)).find(Boolean);
+                if (pin && holeId) placement[pin] = holeId;
+            });
+
+            const missing = Object.keys(instance.def.pins).filter(pin => !placement[pin]);
+            if (missing.length > 0) {
+                instance.role = null;
+                unmapped.push(this.unmappedEntry(instance, `not plugged into the breadboard (${missing.join(', ')})`));
+                return;
+            }
+
+            Object.values(placement).forEach(holeId => used.add(holeId));
+            instance.placement = placement;
+            components.push({ id: instance.id, type: instance.type, placement });
+        });
+
+        // A Pico on the breadboard: wire each plugged-in pin to its hole instead
+        instances.filter(instance => instance.role === 'preplaced').forEach(instance => {
+            instance.view.connectors.forEach(connector => {
+                const pin = this.pinForConnector(instance.def, connector.connectorId);
+                const holeId = connector.connects.filter(isBoard).map(c => this.holeForConnector(c.connectorId)).find(Boolean);
+                if (pin && holeId && !used.has(holeId)) {
+                    used.add(holeId);
+                    straps.push({ title: `${instance.title} ${pin}`, ends: [{ ref: `${instance.id}.${pin}` }, { ref: holeId }], color: null });
+                }
+            });
+            if (straps.length > 0) {
+                warnings.push(`${instance.title} is plugged into the breadboard - its ${straps.length} pin(s) are wired to those holes instead`);
+            }
+        });
+
+        // Wires: chains joined at bendpoints become one wire between their outer ends
+        const groups = this.groupWires(instances.filter(instance => instance.role === 'wire'), byIndex);
+        const wireRuns = groups.map(group => {
+            const ends = [];
+            group.forEach(wire => wire.view.connectors.forEach(connector => {
+                connector.connects.forEach(connect => {
+                    const end = this.resolveEnd(connect, byIndex, isBoard);
+                    if (end === undefined) return;  // another wire in the chain
+                    if (!end) {
+                        warnings.push(`${wire.title}: end on ${byIndex.get(connect.modelIndex)?.title || connect.modelIndex}.${connect.connectorId} can't be imported`);
+                        return;
+                    }
+                    if (!ends.some(other => other.ref === end.ref && other.leg === end.leg)) ends.push(end);
+                });
+            }));
+            ends.filter(end => end.ref && this.holeMap.has(end.ref)).forEach(end => used.add(end.ref));
+            return { title: group[0].title, ends, color: this.colorName(group[0].view.wireColor) };
+        });
+
+        // Ends on a part's leg move to a free hole on the same strip
+        const wires = [];
+        straps.concat(wireRuns).forEach(run => {
+            const refs = run.ends.map(end => end.leg ? this.freeHoleNear(end.leg, used) : end.ref);
+            if (refs.some(ref => !ref)) {
+                warnings.push(`${run.title}: no free hole next to a part leg - wire skipped`);
+                return;
+            }
+            run.ends.forEach((end, i) => {
+                if (end.leg) warnings.push(`${run.title}: end on a part leg moved to hole ${refs[i]}`);
+            });
+
+            if (refs.length < 2) {
+                warnings.push(`${run.title}: only ${refs.length} connected end(s) - wire skipped`);
+                return;
+            }
+            if (refs.length > 2) {
+                warnings.push(`${run.title}: branches to ${refs.length} ends - split into ${refs.length - 1} wires`);
+            }
+            refs.slice(1).forEach(to => {
+                const wire = { id: `w${wires.length + 1}`, from: refs[0], to };
+                if (run.color) wire.properties = { color: run.color };
+                wires.push(wire);
+            });
+        });
+
+        unmapped.forEach(entry => console.warn(`⚠ Not imported: ${entry.title} (${entry.moduleIdRef}) - ${entry.reason}`));
+        console.log(`✓ Fritzing import: ${components.length} component(s), ${wires.length} wire(s)`);
+
+        return {
+            circuitJSON: {
+                circuit: {
+                    metadata: {
+                        name,
+                        description: 'Imported from a Fritzing sketch',
+                        imported: new Date().toISOString()
+                    },
+                    components,
+                    wires
+                }
+            },
+            unmapped,
+            warnings
+        };
+    }
+
+    // ============================================================
+    // PART MATCHING
+    // ============================================================
+
+    /**
+     * Set role, type and id on a part instance, or report it as unmapped
+     */
+    matchPart(instance, library, unmapped, warnings, idCounters) {
+        const candidates = [];
+        library.forEach((def, type) => {
+            if (def?.rendering?.fritzing?.moduleIdRef === instance.moduleIdRef) candidates.push({ type, def });
+        });
+
+        if (candidates.length === 0) {
+            unmapped.push(this.unmappedEntry(instance, 'no library part uses this Fritzing module'));
+            return;
+        }
+
+        const matches = candidates.filter(({ def }) =>
+            Object.entries(def.rendering.fritzing.properties || {}).every(([name, value]) =>
+                this.sameValue(instance.properties[name], value)));
+        const chosen = matches[0] || candidates[0];
+
+        if (matches.length === 0) {
+            const wanted = Object.keys(chosen.def.rendering.fritzing.properties || {})
+                .map(prop => `${prop} ${instance.properties[prop] ?? '?'}`).join(', ');
+            warnings.push(`${instance.title}: no library part with ${wanted} - imported as ${chosen.type}`);
+        }
+
+        instance.type = chosen.type;
+        instance.def = chosen.def;
+
+        const preplacedId = Object.keys(this.options.preplaced).find(id => this.options.preplaced[id] === chosen.type);
+        if (preplacedId) {
+            if (!idCounters.has(preplacedId)) {
+                idCounters.set(preplacedId, 1);
+                instance.role = 'preplaced';
+                instance.id = preplacedId;
+            } else {
+                unmapped.push(this.unmappedEntry(instance, `the board already has ${preplacedId}`));
+            }
+            return;
+        }
+
+        const prefix = FritzingImporter.ID_PREFIXES[chosen.def.validation?.electricalType] || chosen.type.split('-')[0];
+        const count = (idCounters.get(prefix) || 0) + 1;
+        idCounters.set(prefix, count);
+        instance.role = 'part';
+        instance.id = `${prefix}${count}`;
+    }
+
+    /**
+     * Compare property values loosely: "220Ω" = "220 Ω" = "220", "10kΩ" = "10000"
+     */
+    sameValue(actual, expected) {
+        if (actual === undefined) return false;
+        const number = value => {
+            const match = String(value).trim().match(/^([\d.]+)\s*([kKM]?)/);
+            if (!match) return null;
+            return parseFloat(match[1]) * ({ k: 1e3, K: 1e3, M: 1e6 }[match[2]] || 1);
+        };
+        const [a, b] = [number(actual), number(expected)];
+        if (a !== null && b !== null) return a === b;
+        return String(actual).trim().toLowerCase() === String(expected).trim().toLowerCase();
+    }
+
+    pinForConnector(def, connectorId) {
+        return Object.keys(def?.pins || {}).find(pin => def.pins[pin].connectorId === connectorId) || null;
+    }
+
+    unmappedEntry(instance, reason) {
+        return { title: instance.title, moduleIdRef: instance.moduleIdRef, reason };
+    }
+
+    // ============================================================
+    // CONNECTIONS
+    // ============================================================
+
+    /**
+     * App hole id for a breadboard connector ("pin15E" -> "15E"); null if the app's board has no such hole
+     */
+    holeForConnector(connectorId) {
+        const match = String(connectorId).match(/^pin(\d+)([A-Z])$/);
+        if (!match) return null;
+
+        let [, column, row] = match;
+        column = Number(column);
+
+        if (FritzingExporter.RAIL_ROWS[row]) {
+            // Fritzing rail columns skip one between groups of five
+            const offset = column - 3;
+            if (offset < 0 || offset % 6 === 5) return null;
+            column = Math.floor(offset / 6) * 5 + offset % 6 + 1;
+            row = FritzingExporter.RAIL_ROWS[row];
+        }
+
+        const holeId = `${column}${row}`;
+        return this.holeMap.has(holeId) ? holeId : null;
+    }
+
+    /**
+     * Where a wire end goes: { ref } for a hole or Pico pin, { leg: holeId } for a part's leg,
+     * undefined for another wire, null if it can't be imported
+     */
+    resolveEnd(connect, byIndex, isBoard) {
+        const target = byIndex.get(connect.modelIndex);
+        if (!target) return null;
+
+        if (target.role === 'wire') return undefined;
+        if (isBoard(connect)) {
+            const holeId = this.holeForConnector(connect.connectorId);
+            return holeId ? { ref: holeId } : null;
+        }
+
+        const pin = this.pinForConnector(target.def, connect.connectorId);
+        if (!pin) return null;
+        if (target.role === 'preplaced') return { ref: `${target.id}.${pin}` };
+        if (target.role === 'part') return { leg: target.placement[pin] };
+        return null;
+    }
+
+    /**
+     * Wires connected end to end (Fritzing bendpoints) - union of connected wire instances
+     */
+    groupWires(wires, byIndex) {
+        const seen = new Set();
+        const groups = [];
+
+        wires.forEach(start => {
+            if (seen.has(start.modelIndex)) return;
+            const group = [];
+            const queue = [start];
+            seen.add(start.modelIndex);
+
+            while (queue.length > 0) {
+                const wire = queue.shift();
+                group.push(wire);
+                wire.view.connectors.forEach(connector => connector.connects.forEach(connect => {
+                    const other = byIndex.get(connect.modelIndex);
+                    if (other?.role === 'wire' && !seen.has(other.modelIndex)) {
+                        seen.add(other.modelIndex);
+                        queue.push(other);
+                    }
+                }));
+            }
+            groups.push(group);
+        });
+
+        return groups;
+    }
+
+    /**
+     * Nearest unused hole on the same strip as a part leg
+     */
+    freeHoleNear(holeId, used) {
+        const hole = this.holeMap.get(holeId);
+        if (!hole) return null;
+
+        const free = this.holes
+            .filter(other => other.bus === hole.bus && !used.has(other.id))
+            .sort((a, b) => Math.hypot(a.x - hole.x, a.y - hole.y) - Math.hypot(b.x - hole.x, b.y - hole.y));
+        if (free.length === 0) return null;
+
+        used.add(free[0].id);
+        return free[0].id;
+    }
+
+    colorName(hex) {
+        if (!hex) return null;
+        const entry = Object.entries(FritzingExporter.WIRE_COLORS).find(([, value]) => value === hex.toLowerCase());
+        return entry ? entry[0] : null;
+    }
+
+    // ============================================================
+    // XML
+    // ============================================================
+
+    /**
+     * Instances with their properties and breadboard view ({ geometry, wireColor, connectors })
+     */
+    readInstances(root) {
+        const instances = this.child(root, 'instances');
+        return this.children(instances, 'instance').map(element => {
+            const properties = {};
+            this.children(element, 'property').forEach(property => {
+                properties[property.attributes.name] = property.attributes.value;
+            });
+
+            const viewElement = this.child(this.child(element, 'views'), 'breadboardView');
+            const view = viewElement && {
+                geometry: this.child(viewElement, 'geometry')?.attributes || {},
+                wireColor: this.child(viewElement, 'wireExtras')?.attributes.color || null,
+                connectors: this.children(this.child(viewElement, 'connectors'), 'connector').map(connector => ({
+                    connectorId: connector.attributes.connectorId,
+                    connects: this.children(this.child(connector, 'connects'), 'connect').map(connect => ({
+                        connectorId: connect.attributes.connectorId,
+                        modelIndex: connect.attributes.modelIndex,
+                        layer: connect.attributes.layer
+                    }))
+                }))
+            };
+
+            return {
+                moduleIdRef: element.attributes.moduleIdRef,
+                modelIndex: element.attributes.modelIndex,
+                title: this.child(element, 'title')?.text.trim() || element.attributes.moduleIdRef,
+                properties,
+                view
+            };
+        });
+    }
+
+    /**
+     * Small non-validating XML parser - elements, attributes and text; enough for .fz files
+     * @returns {Object} Root element { name, attributes, children, text }
+     */
+    parseXml(text) {
+        const documentNode = { name: '#document', attributes: {}, children: [], text: '' };
+        const stack = [documentNode];
+        const token = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][^>]*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+        let last = 0;
+        let match;
+
+        while ((match = token.exec(text)) !== null) {
+            const top = stack[stack.length - 1];
+            top.text += this.decodeEntities(text.slice(last, match.index));
+            last = token.lastIndex;
+
+            if (match[1] !== undefined) {
+                top.text += match[1];
+            } else if (match[2]) {
+                if (stack.length > 1) stack.pop();
+            } else if (match[3]) {
+                const element = { name: match[3], attributes: this.parseAttributes(match[4]), children: [], text: '' };
+                top.children.push(element);
+                if (!match[5]) stack.push(element);
+            }
+        }
+
+        return documentNode.children[0] || null;
+    }
+
+    parseAttributes(source) {
+        const attributes = {};
+        const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = pattern.exec(source || '')) !== null) {
+            attributes[match[1]] = this.decodeEntities(match[2] ?? match[3]);
+        }
+        return attributes;
+    }
+
+    decodeEntities(value) {
+        return value
+            .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    child(element, name) {
+        return element?.children.find(child => child.name === name) || null;
+    }
+
+    children(element, name) {
+        return element ? element.children.filter(child => child.name === name) : [];
+    }
+}
+
+// Component id prefixes by validation.electricalType (matching the hand-written circuits)
+FritzingImporter.ID_PREFIXES = {
+    led: 'led',
+    resistor: 'r',
+    switch: 'btn'
+};
+
+// Make FritzingImporter globally available
+if (typeof window !== 'undefined') {
+    window.FritzingImporter = FritzingImporter;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FritzingImporter;
+}
@@ -337,7 +337,8 @@ class GuidedWiringManager {
             waypoints: this.waypoints,
             routingMode: this.routingMode,
             id: wire.id,
-            description: wire.description
+            description: wire.description,
+            properties: wire.properties
         });
 
         // Stop pulsing
@@ -0,0 +1,224 @@
+// json-source-map.js
+// Maps JSON pointers (/circuit/components/2/placement/anode) to line/column ranges in JSON text
+
+/**
+ * JSONSourceMap - Parses JSON text and remembers where every value sits
+ *
+ * Each pointer maps to { line, column, endLine, endColumn } (1-based, end exclusive).
+ * For object members the range starts at the key, so highlighting "anode": "15E"
+ * covers the whole member line.
+ */
+class JSONSourceMap {
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+        this.offsets = new Map();   // pointer -> { start, end } character offsets
+        this.lineStarts = [0];
+
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') this.lineStarts.push(i + 1);
+        }
+
+        this.data = this.parseValue('', null);
+        this.skipWhitespace();
+        if (this.pos < text.length) {
+            this.fail('Unexpected content after JSON value');
+        }
+    }
+
+    /**
+     * @param {string} text - JSON source
+     * @returns {JSONSourceMap} with .data (parsed value) and locate(pointer)
+     * @throws {SyntaxError} with line/column in the message
+     */
+    static parse(text) {
+        return new JSONSourceMap(text);
+    }
+
+    /**
+     * Build a pointer from path tokens: ['circuit', 'wires', 0] -> "/circuit/wires/0"
+     */
+    static compile(tokens) {
+        return tokens.map(token => '/' + String(token).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+    }
+
+    /**
+     * Split a pointer into unescaped tokens
+     */
+    static tokens(pointer) {
+        if (!pointer) return [];
+        return pointer.split('/').slice(1).map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    }
+
+    /**
+     * Source range of a pointer; falls back to the nearest ancestor that exists
+     * @returns {Object|null} { pointer, line, column, endLine, endColumn }
+     */
+    locate(pointer) {
+        const tokens = JSONSourceMap.tokens(pointer);
+
+        while (true) {
+            const candidate = JSONSourceMap.compile(tokens);
+            const range = this.offsets.get(candidate);
+            if (range) {
+                const start = this.toLineColumn(range.start);
+                const end = this.toLineColumn(range.end);
+                return {
+                    pointer: candidate,
+                    line: start.line,
+                    column: start.column,
+                    endLine: end.line,
+                    endColumn: end.column
+                };
+            }
+            if (tokens.length === 0) break;
+            tokens.pop();
+        }
+
+        return null;
+    }
+
+    toLineColumn(offset) {
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.lineStarts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return { line: low + 1, column: offset - this.lineStarts[low] + 1 };
+    }
+
+    // ============================================================
+    // PARSER
+    // ============================================================
+
+    parseValue(pointer, memberStart) {
+        this.skipWhitespace();
+        const start = this.pos;
+        const char = this.text[this.pos];
+        let value;
+
+        if (char === '{') {
+            value = this.parseObject(pointer);
+        } else if (char === '[') {
+            value = this.parseArray(pointer);
+        } else if (char === '"') {
+            value = this.parseString();
+        } else {
+            value = this.parseLiteral();
+        }
+
+        this.offsets.set(pointer, { start: memberStart ?? start, end: this.pos });
+        return value;
+    }
+
+    parseObject(pointer) {
+        const result = {};
+        this.pos++;  // {
+        this.skipWhitespace();
+
+        if (this.text[this.pos] === '}') {
+            this.pos++;
+            return result;
+        }
+
+        while (true) {
+            this.skipWhitespace();
+            const memberStart = this.pos;
+            if (this.text[this.pos] !== '"') this.fail('Expected property name');
+
+            const key = this.parseString();
+            this.skipWhitespace();
+            this.expect(':');
+
+            result[key] = this.parseValue(pointer + JSONSourceMap.compile([key]), memberStart);
+
+            this.skipWhitespace();
+            if (this.text[this.pos] === ',') {
+                this.pos++;
+            } else {
+                this.expect('}');
+                return result;
+            }
+        }
+    }
+
+    parseArray(pointer) {
+        const result = [];
+        this.pos++;  // [
+        this.skipWhitespace();
+
+        if (this.text[this.pos] === ']') {
+            this.pos++;
+            return result;
+        }
+
+        while (true) {
+            result.push(this.parseValue(`${pointer}/${result.length}`, null));
+
+            this.skipWhitespace();
+            if (this.text[this.pos] === ',') {
+                this.pos++;
+            } else {
+                this.expect(']');
+                return result;
+            }
+        }
+    }
+
+    parseString() {
+        const start = this.pos;
+        this.pos++;  // opening quote
+
+        while (this.pos < this.text.length && this.text[this.pos] !== '"') {
+            this.pos += this.text[this.pos] === '\\' ? 2 : 1;
+        }
+        if (this.pos >= this.text.length) this.fail('Unterminated string', start);
+
+        this.pos++;  // closing quote
+        return this.decode(this.text.slice(start, this.pos), start);
+    }
+
+    parseLiteral() {
+        const pattern = /-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null/y;
+        pattern.lastIndex = this.pos;
+        const match = pattern.exec(this.text);
+        if (!match) this.fail('Unexpected token');
+
+        this.pos += match[0].length;
+        return this.decode(match[0], this.pos - match[0].length);
+    }
+
+    decode(raw, offset) {
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            this.fail(error.message, offset);
+        }
+    }
+
+    skipWhitespace() {
+        while (/\s/.test(this.text[this.pos] || '')) this.pos++;
+    }
+
+    expect(char) {
+        if (this.text[this.pos] !== char) this.fail(`Expected "${char}"`);
+        this.pos++;
+    }
+
+    fail(message, offset = this.pos) {
+        const { line, column } = this.toLineColumn(offset);
+        throw new SyntaxError(`${message} at line ${line}, column ${column}`);
+    }
+}
+
+// Make JSONSourceMap globally available
+if (typeof window !== 'undefined') {
+    window.JSONSourceMap = JSONSourceMap;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JSONSourceMap;
+}
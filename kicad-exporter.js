@@ -0,0 +1,340 @@
+// kicad-exporter.js
+// KiCad netlist (.net) and basic schematic (.kicad_sch) export of an extracted netlist
+
+/**
+ * KiCadExporter - Hands a breadboard circuit over to KiCad for PCB layout
+ *
+ * Each component JSON maps its type to KiCad in rendering.kicad:
+ *   "kicad": {
+ *     "symbol": "Device:R",                    // library:symbol
+ *     "footprint": "Resistor_THT:R_Axial_...", // library:footprint
+ *     "reference": "R",                        // R1, R2, ...
+ *     "value": "220",
+ *     "pins": { "pin0": "1" },                 // optional - defaults to each pin's `number`
+ *     "symbolPins": { "left": [1, 20], "right": [21, 40], "bottom": [41, 43] }
+ *   }                                          // optional - pin ranges for the schematic box
+ *
+ * buildNetlist() writes the KiCad 6+ netlist pcbnew imports (File > Import > Netlist).
+ * buildSchematic() writes one sheet with every part placed on a grid and a net label on each
+ * connected pin. Its symbols are simple boxes cached under the mapped lib_id, so
+ * "Update Symbols from Library" swaps in the real ones. Both files share the parts' uuids.
+ * Parts without a mapping are left out and listed in `skipped`.
+ */
+class KiCadExporter {
+    constructor(options = {}) {
+        this.options = {
+            title: 'Breadboard circuit',
+            ...options
+        };
+    }
+
+    /**
+     * Parts with a KiCad mapping and their connected pins
+     * @param {Object} circuit - The "circuit" object (metadata, components, wires)
+     * @param {Netlist} netlist - Nets from NetlistBuilder
+     * @param {Map} componentDefs - componentId -> component definition, including preplaced parts (pico1)
+     * @returns {Object} { parts: [{ id, ref, value, kicad, def, uuid, pins: [{ pin, number, net }] }], skipped: [] }
+     */
+    mapParts(circuit, netlist, componentDefs) {
+        const parts = [];
+        const skipped = [];
+        const counters = new Map();
+
+        const componentIds = [...componentDefs.keys()].filter(id => id === 'pico1')
+            .concat((circuit.components || []).map(comp => comp.id));
+
+        componentIds.forEach(id => {
+            const def = componentDefs.get(id);
+            const comp = (circuit.components || []).find(c => c.id === id) || {};
+            const kicad = def?.rendering?.kicad;
+            if (!kicad) {
+                skipped.push(`${id} (${comp.type || def?.metadata?.id || 'unknown type'})`);
+                return;
+            }
+
+            const count = (counters.get(kicad.reference) || 0) + 1;
+            counters.set(kicad.reference, count);
+
+            const pins = Object.entries(def.pins || {}).map(([pin, pinDef]) => ({
+                pin,
+                name: pinDef.name || pin,
+                number: String(kicad.pins?.[pin] ?? pinDef.number),
+                net: netlist.getNetForPin(`${id}.${pin}`)?.name || null
+            }));
+
+            parts.push({
+                id,
+                ref: `${kicad.reference}${count}`,
+                value: this.formatValue(comp, def, kicad),
+                kicad,
+                def,
+                uuid: this.uuid(`part:${id}`),
+                pins
+            });
+        });
+
+        if (skipped.length > 0) {
+            console.warn(`⚠ No KiCad mapping for: ${skipped.join(', ')}`);
+        }
+        return { parts, skipped };
+    }
+
+    // ============================================================
+    // NETLIST (.net)
+    // ============================================================
+
+    buildNetlist(circuit, netlist, componentDefs) {
+        const { parts } = this.mapParts(circuit, netlist, componentDefs);
+        const q = value => this.quote(value);
+        const lines = [
+            '(export (version "E")',
+            '  (design',
+            `    (source ${q(circuit.metadata?.name || this.options.title)})`,
+            `    (date ${q(new Date().toISOString())})`,
+            '    (tool "Breadboard Builder"))',
+            '  (components'
+        ];
+
+        parts.forEach(part => {
+            const [lib, symbol] = part.kicad.symbol.split(':');
+            lines.push(`    (comp (ref ${q(part.ref)})`);
+            lines.push(`      (value ${q(part.value)})`);
+            lines.push(`      (footprint ${q(part.kicad.footprint)})`);
+            lines.push(`      (libsource (lib ${q(lib)}) (part ${q(symbol)}) (description ${q(this.decodeEntities(part.def.metadata?.name || ''))}))`);
+            lines.push(`      (property (name "Breadboard ID") (value ${q(part.id)}))`);
+            lines.push('      (sheetpath (names "/") (tstamps "/"))');
+            lines.push(`      (tstamps ${q(part.uuid)}))`);
+        });
+        lines.push('  )');
+
+        lines.push('  (nets');
+        const nets = this.collectNets(parts);
+        let code = 0;
+        nets.forEach((nodes, name) => {
+            lines.push(`    (net (code ${q(String(++code))}) (name ${q(name)})`);
+            nodes.forEach(({ part, pin }) => {
+                lines.push(`      (node (ref ${q(part.ref)}) (pin ${q(pin.number)}) (pinfunction ${q(pin.name)}))`);
+            });
+            lines.push('    )');
+        });
+        lines.push('  )');
+        lines.push(')');
+
+        console.log(`✓ KiCad netlist: ${parts.length} part(s), ${nets.size} net(s)`);
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Net name -> connected part pins (nets that touch no mapped part are dropped)
+     */
+    collectNets(parts) {
+        const nets = new Map();
+        parts.forEach(part => {
+            part.pins.filter(pin => pin.net).forEach(pin => {
+                if (!nets.has(pin.net)) nets.set(pin.net, []);
+                nets.get(pin.net).push({ part, pin });
+            });
+        });
+        return nets;
+    }
+
+    // ============================================================
+    // SCHEMATIC (.kicad_sch)
+    // ============================================================
+
+    buildSchematic(circuit, netlist, componentDefs) {
+        const { parts } = this.mapParts(circuit, netlist, componentDefs);
+        const q = value => this.quote(value);
+        const rootUuid = this.uuid(`sheet:${circuit.metadata?.name || this.options.title}`);
+        const font = '(effects (font (size 1.27 1.27)))';
+        const hidden = '(effects (font (size 1.27 1.27)) hide)';
+
+        const symbols = new Map();
+        parts.forEach(part => {
+            if (!symbols.has(part.kicad.symbol)) {
+                symbols.set(part.kicad.symbol, this.buildSymbolLayout(part));
+            }
+        });
+
+        const lines = [
+            '(kicad_sch (version 20230121) (generator eeschema)',
+            `  (uuid ${q(rootUuid)})`,
+            '  (paper "A4")',
+            `  (title_block (title ${q(circuit.metadata?.name || this.options.title)}))`,
+            '  (lib_symbols'
+        ];
+        symbols.forEach((layout, libId) => lines.push(...this.symbolDefinition(libId, layout)));
+        lines.push('  )');
+
+        let slot = 0;
+        parts.forEach(part => {
+            const layout = symbols.get(part.kicad.symbol);
+            const { x, y } = layout.pins.length > 2 ? { x: 50.8, y: 88.9 } : this.gridPosition(slot++);
+
+            lines.push(`  (symbol (lib_id ${q(part.kicad.symbol)}) (at ${x} ${y} 0) (unit 1)`);
+            lines.push('    (in_bom yes) (on_board yes) (dnp no)');
+            lines.push(`    (uuid ${q(part.uuid)})`);
+            lines.push(`    (property "Reference" ${q(part.ref)} (at ${x} ${this.round(y - layout.height / 2 - 2.54)} 0) ${font})`);
+            lines.push(`    (property "Value" ${q(part.value)} (at ${x} ${this.round(y + layout.height / 2 + 2.54)} 0) ${font})`);
+            lines.push(`    (property "Footprint" ${q(part.kicad.footprint)} (at ${x} ${y} 0) ${hidden})`);
+            lines.push(`    (property "Breadboard ID" ${q(part.id)} (at ${x} ${y} 0) ${hidden})`);
+            layout.pins.forEach(pin => lines.push(`    (pin ${q(pin.number)} (uuid ${q(this.uuid(`pin:${part.id}.${pin.number}`))}))`));
+            lines.push(`    (instances (project ${q(this.options.title)} (path ${q(`/${rootUuid}`)} (reference ${q(part.ref)}) (unit 1))))`);
+            lines.push('  )');
+
+            // Net label on each connected pin's end (symbol y points up, sheet y down)
+            part.pins.filter(pin => pin.net).forEach(pin => {
+                const end = layout.pins.find(p => p.number === pin.number);
+                if (!end) return;
+                const labelX = this.round(x + end.x);
+                const labelY = this.round(y - end.y);
+                const angle = { 0: 180, 180: 0, 90: 270, 270: 90 }[end.angle];
+                const justify = angle === 180 ? 'right bottom' : 'left bottom';
+                lines.push(`  (label ${q(pin.net)} (at ${labelX} ${labelY} ${angle})`);
+                lines.push(`    (effects (font (size 1.27 1.27)) (justify ${justify}))`);
+                lines.push(`    (uuid ${q(this.uuid(`label:${part.id}.${pin.number}`))}))`);
+            });
+        });
+
+        lines.push('  (sheet_instances (path "/" (page "1")))');
+        lines.push(')');
+
+        console.log(`✓ KiCad schematic: ${parts.length} symbol(s)`);
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Pin ends and box size of the placeholder symbol, in symbol coordinates (mm, y up).
+     * Two-pin parts are a small horizontal box; larger parts follow symbolPins (DIP order by
+     * default: first half down the left side, second half up the right)
+     */
+    buildSymbolLayout(part) {
+        const pitch = 2.54;
+        const numbers = part.pins.map(pin => pin.number);
+        const nameOf = number => part.pins.find(pin => pin.number === number)?.name || number;
+
+        if (numbers.length <= 2) {
+            return {
+                width: 5.08,
+                height: 2.54,
+                showNames: false,
+                pins: numbers.map((number, i) => ({
+                    number, name: nameOf(number), x: i === 0 ? -5.08 : 5.08, y: 0, angle: i === 0 ? 0 : 180
+                }))
+            };
+        }
+
+        const sorted = [...numbers].sort((a, b) => Number(a) - Number(b));
+        const half = Math.ceil(sorted.length / 2);
+        const inRange = range => sorted.filter(n => Number(n) >= range[0] && Number(n) <= range[1]);
+        const sides = part.kicad.symbolPins || {};
+        const left = sides.left ? inRange(sides.left) : sorted.slice(0, half);
+        const right = (sides.right ? inRange(sides.right) : sorted.slice(half)).reverse();
+        const bottom = sides.bottom ? inRange(sides.bottom) : [];
+
+        const rows = Math.max(left.length, right.length);
+        const height = (rows + 1) * pitch;
+        const width = Math.max(20.32, (bottom.length + 1) * pitch);
+        const top = (rows - 1) * pitch / 2;
+        const pins = [];
+
+        left.forEach((number, i) => pins.push({ number, name: nameOf(number), x: -width / 2 - pitch, y: top - i * pitch, angle: 0 }));
+        right.forEach((number, i) => pins.push({ number, name: nameOf(number), x: width / 2 + pitch, y: top - i * pitch, angle: 180 }));
+        bottom.forEach((number, i) => pins.push({
+            number, name: nameOf(number), x: (i - (bottom.length - 1) / 2) * pitch, y: -height / 2 - pitch, angle: 90
+        }));
+
+        pins.forEach(pin => {
+            pin.x = this.round(pin.x);
+            pin.y = this.round(pin.y);
+        });
+        return { width, height, showNames: true, pins };
+    }
+
+    symbolDefinition(libId, layout) {
+        const q = value => this.quote(value);
+        const name = libId.split(':')[1];
+        const font = '(effects (font (size 1.27 1.27)))';
+        const halfWidth = this.round(layout.width / 2);
+        const halfHeight = this.round(layout.height / 2);
+
+        return [
+            `    (symbol ${q(libId)} ${layout.showNames ? '' : '(pin_names hide) '}(in_bom yes) (on_board yes)`,
+            `      (property "Reference" "?" (at 0 ${halfHeight + 2.54} 0) ${font})`,
+            `      (property "Value" ${q(name)} (at 0 ${-halfHeight - 2.54} 0) ${font})`,
+            `      (symbol ${q(`${name}_0_1`)}`,
+            `        (rectangle (start ${-halfWidth} ${halfHeight}) (end ${halfWidth} ${-halfHeight})`,
+            '          (stroke (width 0.254) (type default)) (fill (type background))))',
+            `      (symbol ${q(`${name}_1_1`)}`,
+            ...layout.pins.map(pin =>
+                `        (pin passive line (at ${pin.x} ${pin.y} ${pin.angle}) (length 2.54)` +
+                ` (name ${q(pin.name)} ${font}) (number ${q(pin.number)} ${font}))`),
+            '      )',
+            '    )'
+        ];
+    }
+
+    /**
+     * Sheet position of the nth small part - rows of four to the right of the board symbol
+     */
+    gridPosition(index) {
+        return {
+            x: this.round(101.6 + (index % 4) * 30.48),
+            y: this.round(38.1 + Math.floor(index / 4) * 20.32)
+        };
+    }
+
+    // ============================================================
+    // HELPERS
+    // ============================================================
+
+    formatValue(comp, def, kicad) {
+        const resistance = comp.properties?.resistance;
+        if (resistance === undefined || def.validation?.electricalType !== 'resistor') return kicad.value;
+        if (resistance >= 1e6) return `${resistance / 1e6}M`;
+        if (resistance >= 1e3) return `${resistance / 1e3}k`;
+        return String(resistance);
+    }
+
+    /**
+     * Component JSON keeps Fritzing's entities ("220 &#8486; Resistor")
+     */
+    decodeEntities(value) {
+        return String(value)
+            .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+            .replace(/&amp;/g, '&');
+    }
+
+    quote(value) {
+        return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Stable uuid for a seed, so re-exports (and the .net/.kicad_sch pair) keep the same ids
+     */
+    uuid(seed) {
+        const hex = [0, 1, 2, 3].map(salt => {
+            let hash = 0x811c9dc5 ^ salt;
+            for (const char of seed) {
+                hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193);
+            }
+            return (hash >>> 0).toString(16).padStart(8, '0');
+        }).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-8${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+    }
+}
+
+// Make KiCadExporter globally available
+if (typeof window !== 'undefined') {
+    window.KiCadExporter = KiCadExporter;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KiCadExporter;
+}
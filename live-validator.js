@@ -0,0 +1,271 @@
+// live-validator.js
+// Re-validates the board while the user wires it and paints findings on holes, pins and wires
+
+/**
+ * LiveValidator - Incremental validation for the editor
+ *
+ * BreadboardApp.invalidateNetlist(change) forwards every wire/component change here.
+ * Changes are batched (debounced) and only the affected part of the board is re-checked:
+ *
+ * 1. Build the netlist of the current board
+ * 2. Affected region = nets touched by the change, grown through the parts placed on them
+ *    (the preplaced Pico is not a placed part, so its pins don't join nets)
+ * 3. Validate a sub-circuit with just those parts and the wires on those nets
+ * 4. Replace cached findings that touch the region, keep the rest
+ *
+ * Whole-circuit topology findings (disconnected groups, no wires yet) are skipped -
+ * a half-built board is expected to have them.
+ */
+class LiveValidator {
+    constructor(app, options = {}) {
+        this.app = app;
+        this.options = {
+            debounceMs: 150,
+            ...options
+        };
+
+        this.validator = options.validator || new CircuitValidator(BREADBOARD_HOLES);
+        this.enabled = true;
+        this.findings = [];             // Current findings for the whole board
+        this.pendingChanges = [];
+        this.timer = null;
+        this.running = null;            // Promise of the validation in progress
+    }
+
+    /**
+     * Queue a board change; validation runs once changes stop arriving
+     * @param {Object} change - { type: 'wire'|'component', id, endpoints: [] } or { type: 'reset' }
+     */
+    scheduleValidation(change) {
+        if (!this.enabled) return;
+
+        this.pendingChanges.push(change);
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.options.debounceMs);
+    }
+
+    /**
+     * Validate everything queued so far (waits for a run already in progress)
+     */
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (this.running) {
+            await this.running;
+        }
+        if (this.pendingChanges.length === 0) return this.findings;
+
+        const changes = this.pendingChanges;
+        this.pendingChanges = [];
+
+        this.running = this.validateChanges(changes)
+            .catch(error => console.error('❌ Live validation failed:', error))
+            .finally(() => { this.running = null; });
+        await this.running;
+
+        return this.findings;
+    }
+
+    async validateChanges(changes) {
+        const circuit = this.app.circuitLoader.exportCircuit().circuit;
+        const netlist = this.app.getNetlist();
+        const fullRun = changes.some(change => change.type === 'reset');
+
+        const region = fullRun
+            ? this.buildRegion(circuit, netlist, netlist.nets)
+            : this.buildRegion(circuit, netlist, this.findAffectedNets(changes, netlist));
+
+        // Items that changed may no longer sit on any net of the region (e.g. removed)
+        changes.forEach(change => {
+            if (change.id) region.ids.add(change.id);
+            (change.endpoints || []).forEach(endpoint => {
+                region[endpoint.includes('.') ? 'pins' : 'holes'].add(endpoint);
+            });
+        });
+
+        const findings = await this.validateRegion(circuit, region);
+        const kept = fullRun ? [] : this.findings.filter(finding => !this.touchesRegion(finding, region));
+
+        this.findings = [...kept, ...findings];
+        this.paint();
+
+        const errorCount = this.findings.filter(f => f.severity === 'error').length;
+        console.log(`✓ Live validation: ${region.nets.size} net(s) checked, ` +
+            `${errorCount} error(s), ${this.findings.length - errorCount} warning(s) on board`);
+    }
+
+    /**
+     * Nets that contain a changed hole or pin
+     */
+    findAffectedNets(changes, netlist) {
+        const nets = new Set();
+
+        changes.forEach(change => {
+            (change.endpoints || []).forEach(endpoint => {
+                const net = endpoint.includes('.')
+                    ? netlist.getNetForPin(endpoint)
+                    : netlist.getNetForHole(endpoint);
+                if (net) nets.add(net);
+            });
+        });
+
+        return Array.from(nets);
+    }
+
+    /**
+     * Grow the affected nets through the parts placed on them
+     * @returns {Object} { nets, components, wires, ids, holes, pins } - Sets
+     */
+    buildRegion(circuit, netlist, startNets) {
+        const region = {
+            nets: new Set(),
+            components: new Set(),
+            wires: new Set(),
+            ids: new Set(),
+            holes: new Set(),
+            pins: new Set()
+        };
+        const componentIds = new Set(circuit.components.map(comp => comp.id));
+        const queue = [...startNets];
+
+        while (queue.length > 0) {
+            const net = queue.shift();
+            if (region.nets.has(net)) continue;
+            region.nets.add(net);
+
+            net.holes.forEach(holeId => region.holes.add(holeId));
+            net.wires.forEach(wireId => region.wires.add(wireId));
+            net.pins.forEach(ref => {
+                region.pins.add(ref);
+
+                const compId = ref.split('.')[0];
+                if (!componentIds.has(compId) || region.components.has(compId)) return;
+                region.components.add(compId);
+
+                // The part's other pins pull their nets into the region
+                const comp = circuit.components.find(c => c.id === compId);
+                Object.keys(comp.placement || {}).forEach(pinName => {
+                    const other = netlist.getNetForPin(`${compId}.${pinName}`);
+                    if (other && !region.nets.has(other)) queue.push(other);
+                });
+            });
+        }
+
+        region.components.forEach(id => region.ids.add(id));
+        region.wires.forEach(id => region.ids.add(id));
+        return region;
+    }
+
+    /**
+     * Run the validator on the region's parts and wires only
+     */
+    async validateRegion(circuit, region) {
+        const subCircuit = {
+            circuit: {
+                metadata: circuit.metadata,
+                components: circuit.components.filter(comp => region.components.has(comp.id)),
+                wires: circuit.wires.filter(wire => region.wires.has(wire.id))
+            }
+        };
+
+        if (subCircuit.circuit.components.length === 0 && subCircuit.circuit.wires.length === 0) {
+            return [];
+        }
+
+        const result = await this.validator.validate(subCircuit);
+
+        return [...result.errors, ...result.warnings]
+            .filter(finding => !LiveValidator.WHOLE_CIRCUIT_FINDINGS.includes(finding.type))
+            .map(finding => ({
+                ...finding,
+                wireIds: this.findWireIds(finding, subCircuit.circuit.wires)
+            }));
+    }
+
+    /**
+     * Wires a finding points at (pointer, location or its wires list)
+     */
+    findWireIds(finding, wires) {
+        const ids = new Set(finding.wires || []);
+
+        const match = (finding.pointer || '').match(/^\/circuit\/wires\/(\d+)/);
+        if (match && wires[Number(match[1])]) {
+            ids.add(wires[Number(match[1])].id);
+        }
+        if (wires.some(wire => wire.id === finding.location)) {
+            ids.add(finding.location);
+        }
+
+        return Array.from(ids);
+    }
+
+    touchesRegion(finding, region) {
+        return region.ids.has(finding.location) ||
+            (finding.wireIds || []).some(id => region.ids.has(id)) ||
+            (finding.holeIds || []).some(id => region.holes.has(id)) ||
+            (finding.pinIds || []).some(id => region.pins.has(id)) ||
+            [...region.nets].some(net => finding.location === `net-${net.name}`);
+    }
+
+    // ============================================================
+    // PAINTING
+    // ============================================================
+
+    /**
+     * Mark holes, Pico pins and wires with their worst finding
+     */
+    paint() {
+        this.clearPaint();
+
+        const severityOf = new Map();
+        const mark = (selector, severity) => {
+            if (severityOf.get(selector) === 'error') return;
+            severityOf.set(selector, severity);
+        };
+
+        this.findings.forEach(finding => {
+            (finding.holeIds || []).forEach(id => mark(`[data-hole-id="${id}"]`, finding.severity));
+            (finding.pinIds || []).forEach(id => mark(`[data-pin-id="${id}"]`, finding.severity));
+            (finding.wireIds || []).forEach(id => mark(`[data-wire-id="${id}"]`, finding.severity));
+        });
+
+        severityOf.forEach((severity, selector) => {
+            document.querySelectorAll(selector).forEach(el => el.classList.add(`live-${severity}`));
+        });
+    }
+
+    clearPaint() {
+        document.querySelectorAll('.live-error, .live-warning').forEach(el => {
+            el.classList.remove('live-error', 'live-warning');
+        });
+    }
+
+    /**
+     * Findings on a hole or Pico pin (for hover info)
+     */
+    getFindingsFor(pointId) {
+        const key = pointId.includes('.') ? 'pinIds' : 'holeIds';
+        return this.findings.filter(finding => (finding[key] || []).includes(pointId));
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (enabled) {
+            this.scheduleValidation({ type: 'reset' });
+        } else {
+            clearTimeout(this.timer);
+            this.pendingChanges = [];
+            this.findings = [];
+            this.clearPaint();
+        }
+    }
+}
+
+// Findings about the board as a whole - expected while it is being built
+LiveValidator.WHOLE_CIRCUIT_FINDINGS = ['EMPTY_CIRCUIT', 'NO_CONNECTIONS', 'DISCONNECTED_GROUPS'];
+
+// Make LiveValidator globally available
+window.LiveValidator = LiveValidator;
+
+console.log('✓ LiveValidator module loaded');
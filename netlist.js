@@ -0,0 +1,299 @@
+// netlist.js
+// Electrical net extraction shared by CircuitValidator, CircuitLoader and the hover UI
+
+/**
+ * NetlistBuilder - Merges breadboard buses, rail groups, wires and Pico pins
+ * into electrical nets using union-find.
+ *
+ * Node keys:
+ *   "bus:<busId>"        - a breadboard bus (column half or isolated rail group)
+ *   "pin:<comp>.<pin>"   - a component pin or pre-placed Pico pin
+ *
+ * Net names are stable for the same circuit:
+ *   GND                  - anything tied to a Pico ground pin
+ *   GP15, 3V3_OUT, ...   - nets containing Pico pins (joined with "/" if several)
+ *   rail-top-W-group0    - otherwise the first rail bus on the net
+ *   bus5-top             - otherwise the first main-grid bus on the net
+ */
+class NetlistBuilder {
+    constructor(breadboardHoles, options = {}) {
+        this.holes = breadboardHoles;
+        this.preplacedComponents = options.preplacedComponents || new Map([
+            ['pico1', 'raspberry-pi-pico']
+        ]);
+
+        this.busMap = new Map();
+        this.holesByBus = new Map();
+        this.holeTypeByBus = new Map();
+        breadboardHoles.forEach(hole => {
+            this.busMap.set(hole.id, hole.bus);
+            if (!this.holesByBus.has(hole.bus)) {
+                this.holesByBus.set(hole.bus, []);
+                this.holeTypeByBus.set(hole.bus, hole.type);
+            }
+            this.holesByBus.get(hole.bus).push(hole.id);
+        });
+    }
+
+    /**
+     * Build the netlist for a circuit definition
+     * @param {Object} circuit - The "circuit" object (components, wires)
+     * @returns {Netlist}
+     */
+    build(circuit) {
+        const uf = new UnionFind();
+        const components = circuit.components || [];
+        const wires = circuit.wires || [];
+        const componentIds = new Set(components.map(c => c.id));
+
+        // Component pins sit on the bus of the hole they are placed in
+        components.forEach(comp => {
+            Object.entries(comp.placement || {}).forEach(([pinName, holeId]) => {
+                const pinKey = `pin:${comp.id}.${pinName}`;
+                uf.add(pinKey);
+
+                const bus = typeof holeId === 'string' ? this.busMap.get(holeId) : null;
+                if (bus) {
+                    uf.union(pinKey, `bus:${bus}`);
+                }
+            });
+        });
+
+        // Wires join their two endpoints
+        wires.forEach(wire => {
+            const fromKey = this.endpointKey(wire.from, componentIds);
+            const toKey = this.endpointKey(wire.to, componentIds);
+
+            if (fromKey) uf.add(fromKey);
+            if (toKey) uf.add(toKey);
+            if (fromKey && toKey) {
+                uf.union(fromKey, toKey);
+            }
+        });
+
+        // All ground pins of a pre-placed board are tied together internally
+        this.preplacedComponents.forEach((type, compId) => {
+            const groundKeys = uf.keys().filter(key =>
+                key.startsWith(`pin:${compId}.`) && this.isGroundPinName(key.split('.')[1])
+            );
+            for (let i = 1; i < groundKeys.length; i++) {
+                uf.union(groundKeys[0], groundKeys[i]);
+            }
+        });
+
+        return this.collectNets(uf, wires, componentIds);
+    }
+
+    /**
+     * Resolve a wire endpoint to a node key
+     * "15E" -> "bus:bus15-bottom", "led1.anode" -> "pin:led1.anode"
+     */
+    endpointKey(endpoint, componentIds) {
+        if (typeof endpoint !== 'string') return null;
+
+        if (endpoint.includes('.')) {
+            const compId = endpoint.split('.')[0];
+            if (!componentIds.has(compId) && !this.preplacedComponents.has(compId)) {
+                return null;
+            }
+            return `pin:${endpoint}`;
+        }
+
+        const bus = this.busMap.get(endpoint);
+        return bus ? `bus:${bus}` : null;
+    }
+
+    isGroundPinName(pinName) {
+        return typeof pinName === 'string' && pinName.includes('GND');
+    }
+
+    collectNets(uf, wires, componentIds) {
+        const groups = new Map();
+        uf.keys().forEach(key => {
+            const root = uf.find(key);
+            if (!groups.has(root)) {
+                groups.set(root, { buses: [], pins: [] });
+            }
+            const group = groups.get(root);
+            if (key.startsWith('bus:')) {
+                group.buses.push(key.slice(4));
+            } else {
+                group.pins.push(key.slice(4));
+            }
+        });
+
+        const usedNames = new Set();
+        const nets = [];
+
+        groups.forEach((group, root) => {
+            group.buses.sort(naturalCompare);
+            group.pins.sort(naturalCompare);
+
+            const holes = [];
+            group.buses.forEach(bus => holes.push(...this.holesByBus.get(bus)));
+
+            const netWires = wires
+                .filter(wire => {
+                    const key = this.endpointKey(wire.from, componentIds) ||
+                                this.endpointKey(wire.to, componentIds);
+                    return key && uf.find(key) === root;
+                })
+                .map(wire => wire.id);
+
+            let name = this.nameForGroup(group);
+            if (usedNames.has(name)) {
+                let suffix = 2;
+                while (usedNames.has(`${name}#${suffix}`)) suffix++;
+                name = `${name}#${suffix}`;
+            }
+            usedNames.add(name);
+
+            nets.push({
+                name,
+                buses: group.buses,
+                holes,
+                pins: group.pins,
+                wires: netWires
+            });
+        });
+
+        nets.sort((a, b) => naturalCompare(a.name, b.name));
+        return new Netlist(nets);
+    }
+
+    nameForGroup(group) {
+        const boardPins = group.pins.filter(ref => this.preplacedComponents.has(ref.split('.')[0]));
+
+        if (boardPins.some(ref => this.isGroundPinName(ref.split('.')[1]))) {
+            return 'GND';
+        }
+        if (boardPins.length > 0) {
+            return boardPins.map(ref => ref.split('.')[1]).join('/');
+        }
+
+        const railBus = group.buses.find(bus => this.holeTypeByBus.get(bus) !== 'main');
+        if (railBus) return railBus;
+        if (group.buses.length > 0) return group.buses[0];
+
+        return group.pins[0];
+    }
+}
+
+/**
+ * Netlist - Result of net extraction
+ * Each net: { name, buses: [], holes: [], pins: ["led1.anode", "pico1.GP15"], wires: ["w1"] }
+ */
+class Netlist {
+    constructor(nets) {
+        this.nets = nets;
+        this.netsByName = new Map();
+        this.netByHole = new Map();
+        this.netByPin = new Map();
+        this.netByWire = new Map();
+
+        nets.forEach(net => {
+            this.netsByName.set(net.name, net);
+            net.holes.forEach(holeId => this.netByHole.set(holeId, net));
+            net.pins.forEach(ref => this.netByPin.set(ref, net));
+            net.wires.forEach(wireId => this.netByWire.set(wireId, net));
+        });
+    }
+
+    getNet(name) {
+        return this.netsByName.get(name) || null;
+    }
+
+    getNetForHole(holeId) {
+        return this.netByHole.get(holeId) || null;
+    }
+
+    getNetForPin(pinRef) {
+        return this.netByPin.get(pinRef) || null;
+    }
+
+    getNetForWire(wireId) {
+        return this.netByWire.get(wireId) || null;
+    }
+
+    /**
+     * Resolve a wire endpoint or placement reference ("15E" or "led1.anode")
+     */
+    getNetForEndpoint(endpoint) {
+        if (typeof endpoint !== 'string') return null;
+        return endpoint.includes('.') ? this.getNetForPin(endpoint) : this.getNetForHole(endpoint);
+    }
+
+    /**
+     * Plain object form (net name -> holes, pins, wires) for export/debugging
+     */
+    toJSON() {
+        const result = {};
+        this.nets.forEach(net => {
+            result[net.name] = { holes: net.holes, pins: net.pins, wires: net.wires };
+        });
+        return result;
+    }
+}
+
+/**
+ * Minimal union-find over string keys (path compression + union by size)
+ */
+class UnionFind {
+    constructor() {
+        this.parent = new Map();
+        this.size = new Map();
+    }
+
+    add(key) {
+        if (!this.parent.has(key)) {
+            this.parent.set(key, key);
+            this.size.set(key, 1);
+        }
+    }
+
+    find(key) {
+        this.add(key);
+        let root = key;
+        while (this.parent.get(root) !== root) {
+            root = this.parent.get(root);
+        }
+        while (this.parent.get(key) !== root) {
+            const next = this.parent.get(key);
+            this.parent.set(key, root);
+            key = next;
+        }
+        return root;
+    }
+
+    union(a, b) {
+        let rootA = this.find(a);
+        let rootB = this.find(b);
+        if (rootA === rootB) return;
+
+        if (this.size.get(rootA) < this.size.get(rootB)) {
+            [rootA, rootB] = [rootB, rootA];
+        }
+        this.parent.set(rootB, rootA);
+        this.size.set(rootA, this.size.get(rootA) + this.size.get(rootB));
+    }
+
+    keys() {
+        return Array.from(this.parent.keys());
+    }
+}
+
+// Natural sort so bus5-top comes before bus12-top
+function naturalCompare(a, b) {
+    return a.localeCompare(b, undefined, { numeric: true });
+}
+
+// Make NetlistBuilder globally available
+if (typeof window !== 'undefined') {
+    window.NetlistBuilder = NetlistBuilder;
+    window.Netlist = Netlist;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NetlistBuilder, Netlist, UnionFind };
+}
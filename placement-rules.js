@@ -0,0 +1,136 @@
+// placement-rules.js
+// Placement-shape constraints declared in component JSON (span, same row, center gap)
+
+/**
+ * PlacementRules - Checks a part's placement against rendering.breadboard.placement
+ *
+ * Used by the validator (placement layer) and by CircuitLoader before rendering, so the
+ * LLM and the UI get the same errors. Declared in the component JSON:
+ *
+ *   "rendering": { "breadboard": { "placement": {
+ *       "span": { "min": 3, "max": 5 },   // hole pitches between the pins (diagonals rounded)
+ *       "sameRow": true,                  // all pins in one row (e.g. "8H" and "9H")
+ *       "gap": "forbidden"                // center gap: "forbidden" | "required" | "allowed"
+ *   } } }
+ *
+ * check() returns violations: [{ type, message, pins }] - pins are the placement pin names involved.
+ * Pins on holes that don't exist are left to the reference layer.
+ */
+class PlacementRules {
+    /**
+     * @param {Array} breadboardHoles - BREADBOARD_HOLES from breadboard-data.js
+     */
+    constructor(breadboardHoles) {
+        this.holeMap = new Map(breadboardHoles.map(hole => [hole.id, hole]));
+    }
+
+    /**
+     * @param {Object} componentDef - Component JSON (`component` object)
+     * @param {Object} placement - { pinName: holeId }
+     * @param {string} componentId - Used in messages
+     */
+    check(componentDef, placement, componentId = 'component') {
+        const rules = componentDef?.rendering?.breadboard?.placement;
+        if (!rules || !placement) return [];
+
+        const pins = Object.keys(placement).filter(pin => this.holeMap.has(placement[pin]));
+        if (pins.length < 2) return [];
+
+        const name = this.decodeEntities(componentDef.metadata?.name || componentId);
+        const where = pins.map(pin => `${pin} ${placement[pin]}`).join(', ');
+        const violations = [];
+
+        if (rules.span) {
+            const span = this.measureSpan(pins.map(pin => this.holeMap.get(placement[pin])));
+            const { min = 0, max = Infinity } = rules.span;
+
+            if (span < min || span > max) {
+                const allowed = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min}-${max}`;
+                violations.push({
+                    type: 'PLACEMENT_SPAN',
+                    message: `${componentId} spans ${span} hole(s) (${where}) - a ${name} must span ${allowed} hole(s)`,
+                    pins
+                });
+            }
+        }
+
+        if (rules.sameRow) {
+            const rows = new Set(pins.map(pin => this.getRow(placement[pin])));
+            if (rows.size > 1) {
+                violations.push({
+                    type: 'PLACEMENT_NOT_SAME_ROW',
+                    message: `${componentId} pins are in different rows (${where}) - a ${name} must sit in a single row`,
+                    pins
+                });
+            }
+        }
+
+        if (rules.gap === 'forbidden' || rules.gap === 'required') {
+            const sides = new Set(pins.map(pin => this.getSide(placement[pin])));
+            const spansGap = sides.has('top') && sides.has('bottom');
+
+            if (rules.gap === 'forbidden' && spansGap) {
+                violations.push({
+                    type: 'PLACEMENT_SPANS_GAP',
+                    message: `${componentId} spans the center gap (${where}) - keep a ${name} on one side of the gap`,
+                    pins
+                });
+            } else if (rules.gap === 'required' && !spansGap) {
+                violations.push({
+                    type: 'PLACEMENT_GAP_REQUIRED',
+                    message: `${componentId} must straddle the center gap (${where}) - put a ${name}'s pins on both sides`,
+                    pins
+                });
+            }
+        }
+
+        return violations;
+    }
+
+    /**
+     * Largest distance between two pins, in hole pitches
+     */
+    measureSpan(holes) {
+        let span = 0;
+        holes.forEach((a, i) => {
+            holes.slice(i + 1).forEach(b => {
+                span = Math.max(span, Math.round(Math.hypot(a.x - b.x, a.y - b.y) / PlacementRules.HOLE_PITCH));
+            });
+        });
+        return span;
+    }
+
+    getRow(holeId) {
+        return holeId.match(/[A-Z]+$/)[0];
+    }
+
+    /**
+     * Which half of the board a hole is on - main grid and rails alike ("bus15-top", "rail-bottom-Z-group2")
+     */
+    getSide(holeId) {
+        return this.holeMap.get(holeId).bus.includes('top') ? 'top' : 'bottom';
+    }
+
+    /**
+     * Component JSON keeps Fritzing's entities ("220 &#8486; Resistor")
+     */
+    decodeEntities(value) {
+        return String(value)
+            .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+            .replace(/&amp;/g, '&');
+    }
+}
+
+// Breadboard hole spacing in SVG units (2.54mm)
+PlacementRules.HOLE_PITCH = 8.982;
+
+// Make PlacementRules globally available
+if (typeof window !== 'undefined') {
+    window.PlacementRules = PlacementRules;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlacementRules;
+}
@@ -0,0 +1,113 @@
+// classroom-rules.js
+// Example validation plugins for classroom-specific wiring rules
+//
+// Usage (after circuit-validator.js is loaded):
+//   validator.registerPlugin(ClassroomRules.allowedGpioPins(['GP10', 'GP11', 'GP12', 'GP13', 'GP14', 'GP15']));
+//   validator.registerPlugin(ClassroomRules.ledPowerFromRail('bottom'));
+//
+// Turn a plugin off for one run:
+//   await validator.validate(circuitJSON, { plugins: { 'allowed-gpio-pins': false } });
+
+/**
+ * Only allow wires to the listed Pico GPIO pins (power and ground pins are always allowed)
+ * @param {Array} allowedPins - e.g. ['GP10', 'GP11', ...]
+ * @param {Object} options - { boardId: 'pico1', severity: 'error' | 'warning' }
+ */
+function allowedGpioPins(allowedPins, options = {}) {
+    const { boardId = 'pico1', severity = 'error' } = options;
+    const allowed = new Set(allowedPins);
+
+    return {
+        name: 'allowed-gpio-pins',
+        layer: 'Classroom: allowed GPIO pins',
+        run({ circuit, createError, createWarning }) {
+            const create = severity === 'warning' ? createWarning : createError;
+            const findings = [];
+
+            circuit.wires.forEach(wire => {
+                [wire.from, wire.to].forEach(endpoint => {
+                    if (!endpoint.startsWith(`${boardId}.`)) return;
+
+                    const pinName = endpoint.split('.')[1];
+                    if (!pinName.startsWith('GP') || allowed.has(pinName)) return;
+
+                    findings.push(create('GPIO_NOT_ALLOWED', wire.id,
+                        `${pinName} is not used in this class. Use one of: ${allowedPins.join(', ')}`,
+                        { pin: pinName, allowedPins }
+                    ));
+                });
+            });
+
+            return findings;
+        }
+    };
+}
+
+/**
+ * LEDs may only be powered from one breadboard side's power rail
+ * Checks the nets of each LED pin and of any resistor directly in series with it.
+ * @param {string} side - 'top' or 'bottom'
+ */
+function ledPowerFromRail(side = 'bottom') {
+    const otherSide = side === 'bottom' ? 'top' : 'bottom';
+
+    return {
+        name: 'led-power-rail',
+        layer: `Classroom: LEDs powered from ${side} rail`,
+        async run({ circuit, netlist, holeMap, createError, validator }) {
+            const findings = [];
+            const leds = await validator.findComponentsByElectricalType(circuit, 'led');
+            const resistors = await validator.findComponentsByElectricalType(circuit, 'resistor');
+
+            const netsOf = comp => Object.keys(comp.placement || {})
+                .map(pin => netlist.getNetForPin(`${comp.id}.${pin}`))
+                .filter(Boolean);
+
+            leds.forEach(led => {
+                const ledNets = netsOf(led);
+                const nets = new Set(ledNets);
+
+                resistors.forEach(resistor => {
+                    const resistorNets = netsOf(resistor);
+                    if (resistorNets.some(net => ledNets.includes(net))) {
+                        resistorNets.forEach(net => nets.add(net));
+                    }
+                });
+
+                const wrongRails = new Set();
+                nets.forEach(net => {
+                    net.holes.forEach(holeId => {
+                        const hole = holeMap.get(holeId);
+                        if (hole?.type === 'power' && hole.bus.startsWith(`rail-${otherSide}-`)) {
+                            wrongRails.add(hole.bus);
+                        }
+                    });
+                });
+
+                if (wrongRails.size > 0) {
+                    findings.push(createError('LED_WRONG_POWER_RAIL', led.id,
+                        `LED is powered from the ${otherSide} power rail - use the ${side} rail`,
+                        { rail: otherSide, buses: Array.from(wrongRails) }
+                    ));
+                }
+            });
+
+            return findings;
+        }
+    };
+}
+
+const ClassroomRules = {
+    allowedGpioPins,
+    ledPowerFromRail
+};
+
+// Make ClassroomRules globally available
+if (typeof window !== 'undefined') {
+    window.ClassroomRules = ClassroomRules;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClassroomRules;
+}
@@ -0,0 +1,382 @@
+// report-formatter.js
+// Machine-readable validation reports (JSON, JUnit XML, SARIF)
+
+/**
+ * ReportFormatter - Turns CircuitValidator.validate() results into structured output
+ *
+ * Every method takes a list of entries, one per validated circuit:
+ *   [{ source: 'circuits/foo.json', result: { valid, errors, warnings, layers }, sourceMap? }]
+ * A bare validation result is accepted too (source is then options.source).
+ * sourceMap (a JSONSourceMap of the file text) adds line/column regions for finding pointers.
+ *
+ * JSON report (schemaVersion 1 - only ever extended with new optional fields):
+ *   {
+ *     schemaVersion: 1,
+ *     tool: { name, version },
+ *     valid: boolean,                       // every circuit valid
+ *     summary: { circuits, passed, errors, warnings },
+ *     reports: [{
+ *       source: string | null,
+ *       valid: boolean,
+ *       summary: { errors, warnings },
+ *       layers: [{ id, name, status: "passed"|"failed"|"skipped", errors, warnings, plugin? }],
+ *       jumpers: [{ wireId, from, to, length, offBoard, crossesPico, jumper: { type, length, label } | null }],
+ *       findings: [{
+ *         ruleId, severity: "error"|"warning", layer, location, message, fix: object|null,
+ *         pointer: string|null,             // JSON pointer into the circuit file
+ *         region: { line, column, endLine, endColumn } | null,
+ *         holeIds: [], pinIds: [],
+ *         data: {}
+ *       }]
+ *     }]
+ *   }
+ *
+ * JUnit: one <testsuite> per circuit and layer, one <testcase> per rule that fired
+ * (errors fail, warnings go to <system-out>), a passing "checks" case for clean layers
+ * and a <skipped/> case for layers that never ran.
+ *
+ * SARIF 2.1.0: one run, rules from the finding types, one result per finding located
+ * in the circuit file it came from.
+ */
+class ReportFormatter {
+    constructor(options = {}) {
+        this.tool = { ...ReportFormatter.TOOL, ...options.tool };
+    }
+
+    /**
+     * Format entries as a string in the named format
+     * @param {string} format - 'json' | 'junit' | 'sarif' | 'text'
+     */
+    format(format, entries, options = {}) {
+        switch (format) {
+            case 'json':
+                return JSON.stringify(this.toJSON(entries, options), null, 2);
+            case 'junit':
+                return this.toJUnit(entries, options);
+            case 'sarif':
+                return JSON.stringify(this.toSARIF(entries, options), null, 2);
+            case 'text':
+                return this.toText(entries, options);
+            default:
+                throw new Error(`Unknown report format "${format}" (expected one of: ${ReportFormatter.FORMATS.join(', ')})`);
+        }
+    }
+
+    // ============================================================
+    // JSON
+    // ============================================================
+
+    toJSON(entries, options = {}) {
+        const reports = this.normalizeEntries(entries, options).map(entry => this.buildReport(entry));
+
+        return {
+            schemaVersion: ReportFormatter.JSON_SCHEMA_VERSION,
+            tool: { ...this.tool },
+            valid: reports.every(report => report.valid),
+            summary: {
+                circuits: reports.length,
+                passed: reports.filter(report => report.valid).length,
+                errors: reports.reduce((sum, report) => sum + report.summary.errors, 0),
+                warnings: reports.reduce((sum, report) => sum + report.summary.warnings, 0)
+            },
+            reports
+        };
+    }
+
+    buildReport({ source, result, sourceMap }) {
+        return {
+            source: source || null,
+            valid: result.valid,
+            summary: {
+                errors: result.errors.length,
+                warnings: result.warnings.length
+            },
+            layers: this.getLayers(result),
+            jumpers: result.jumpers || [],
+            findings: this.getFindings(result).map(finding => this.formatFinding(finding, sourceMap))
+        };
+    }
+
+    /**
+     * Fixed finding fields up front, everything the layer attached under data
+     */
+    formatFinding(finding, sourceMap) {
+        const { type, severity, layer, location, message, fix, pointer, holeIds, pinIds, ...data } = finding;
+        return {
+            ruleId: type,
+            severity,
+            layer: layer || ReportFormatter.UNKNOWN_LAYER,
+            location: location === undefined ? null : String(location),
+            message,
+            fix: fix || null,
+            pointer: pointer ?? null,
+            region: this.locate(sourceMap, pointer),
+            holeIds: holeIds || [],
+            pinIds: pinIds || [],
+            data
+        };
+    }
+
+    /**
+     * Line/column range of a pointer, or null without a source map
+     */
+    locate(sourceMap, pointer) {
+        if (!sourceMap || pointer === undefined || pointer === null) return null;
+
+        const located = sourceMap.locate(pointer);
+        if (!located) return null;
+
+        const { line, column, endLine, endColumn } = located;
+        return { line, column, endLine, endColumn };
+    }
+
+    // ============================================================
+    // JUNIT XML
+    // ============================================================
+
+    toJUnit(entries, options = {}) {
+        const suites = [];
+        let totalTests = 0;
+        let totalFailures = 0;
+        let totalSkipped = 0;
+
+        this.normalizeEntries(entries, options).forEach(({ source, result }) => {
+            const findings = this.getFindings(result);
+            const circuitName = source || 'circuit';
+
+            this.getLayers(result).forEach(layer => {
+                const cases = [];
+                const classname = `${circuitName}.${layer.id}`;
+                const layerFindings = findings.filter(f => (f.layer || ReportFormatter.UNKNOWN_LAYER) === layer.id);
+
+                if (layer.status === 'skipped') {
+                    cases.push(`    <testcase classname="${this.escapeXML(classname)}" name="${this.escapeXML(layer.name)}">\n` +
+                        '      <skipped message="Not run - an earlier layer aborted validation"/>\n' +
+                        '    </testcase>');
+                } else if (layerFindings.length === 0) {
+                    cases.push(`    <testcase classname="${this.escapeXML(classname)}" name="${this.escapeXML(layer.name)} checks"/>`);
+                }
+
+                this.groupBy(layerFindings, f => f.type).forEach((ruleFindings, ruleId) => {
+                    const failures = ruleFindings.filter(f => f.severity === 'error');
+                    const details = ruleFindings
+                        .map(f => `${f.severity.toUpperCase()} ${f.location}${f.pointer ? ` (${f.pointer})` : ''}: ${f.message}`)
+                        .join('\n');
+
+                    let body;
+                    if (failures.length > 0) {
+                        body = `      <failure type="${this.escapeXML(ruleId)}" message="${this.escapeXML(failures[0].message)}">` +
+                            `${this.escapeXML(details)}</failure>\n`;
+                    } else {
+                        body = `      <system-out>${this.escapeXML(details)}</system-out>\n`;
+                    }
+
+                    cases.push(`    <testcase classname="${this.escapeXML(classname)}" name="${this.escapeXML(ruleId)}">\n` +
+                        body +
+                        '    </testcase>');
+                });
+
+                const failureCount = cases.filter(c => c.includes('<failure')).length;
+                const skippedCount = cases.filter(c => c.includes('<skipped')).length;
+                totalTests += cases.length;
+                totalFailures += failureCount;
+                totalSkipped += skippedCount;
+
+                suites.push(`  <testsuite name="${this.escapeXML(`${circuitName} › ${layer.name}`)}" ` +
+                    `tests="${cases.length}" failures="${failureCount}" errors="0" skipped="${skippedCount}">\n` +
+                    cases.join('\n') + '\n' +
+                    '  </testsuite>');
+            });
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="Circuit validation" tests="${totalTests}" failures="${totalFailures}" errors="0" skipped="${totalSkipped}">`,
+            ...suites,
+            '</testsuites>',
+            ''
+        ].join('\n');
+    }
+
+    escapeXML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    // ============================================================
+    // SARIF 2.1.0
+    // ============================================================
+
+    toSARIF(entries, options = {}) {
+        const normalized = this.normalizeEntries(entries, options);
+        const rules = [];
+        const ruleIndex = new Map();
+        const results = [];
+        const artifacts = [];
+
+        normalized.forEach(({ source, result, sourceMap }) => {
+            if (source) artifacts.push({ location: { uri: source } });
+
+            this.getFindings(result).forEach(finding => {
+                const layer = finding.layer || ReportFormatter.UNKNOWN_LAYER;
+
+                if (!ruleIndex.has(finding.type)) {
+                    ruleIndex.set(finding.type, rules.length);
+                    rules.push({
+                        id: finding.type,
+                        name: finding.type,
+                        shortDescription: { text: finding.type.replace(/_/g, ' ').toLowerCase() },
+                        defaultConfiguration: { level: finding.severity },
+                        properties: { layer }
+                    });
+                }
+
+                const { type, severity, location, message, fix, pointer, ...data } = finding;
+                const sarifResult = {
+                    ruleId: type,
+                    ruleIndex: ruleIndex.get(type),
+                    level: severity === 'error' ? 'error' : 'warning',
+                    message: { text: message },
+                    locations: [this.buildSarifLocation(source, location, pointer, this.locate(sourceMap, pointer))],
+                    properties: { ...data, layer }
+                };
+                if (fix) {
+                    sarifResult.properties.fix = fix;
+                }
+                results.push(sarifResult);
+            });
+        });
+
+        return {
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: this.tool.name,
+                        version: this.tool.version,
+                        rules
+                    }
+                },
+                artifacts,
+                results
+            }]
+        };
+    }
+
+    buildSarifLocation(source, location, pointer, region) {
+        const sarifLocation = {};
+        if (source) {
+            sarifLocation.physicalLocation = { artifactLocation: { uri: source } };
+            if (region) {
+                sarifLocation.physicalLocation.region = {
+                    startLine: region.line,
+                    startColumn: region.column,
+                    endLine: region.endLine,
+                    endColumn: region.endColumn
+                };
+            }
+        }
+        if (location !== undefined) {
+            sarifLocation.logicalLocations = [{
+                name: String(location),
+                kind: 'element',
+                ...(pointer !== undefined ? { fullyQualifiedName: pointer } : {})
+            }];
+        }
+        return sarifLocation;
+    }
+
+    // ============================================================
+    // TEXT
+    // ============================================================
+
+    /**
+     * The box-drawn CircuitValidator report, one per entry
+     * @param {Object} options - { validator } used for generateReport
+     */
+    toText(entries, options = {}) {
+        const validator = options.validator;
+        if (!validator) {
+            throw new Error('Text format needs options.validator (for generateReport)');
+        }
+
+        return this.normalizeEntries(entries, options)
+            .map(({ source, result }) =>
+                (source ? `\n━━━━━━━━ ${source} ━━━━━━━━\n\n` : '') + validator.generateReport(result)
+            )
+            .join('\n');
+    }
+
+    // ============================================================
+    // HELPERS
+    // ============================================================
+
+    normalizeEntries(entries, options = {}) {
+        if (Array.isArray(entries)) return entries;
+        return [{ source: options.source || null, result: entries }];
+    }
+
+    getFindings(result) {
+        return [...result.errors, ...result.warnings];
+    }
+
+    /**
+     * Layer summaries for a result - layers the validator recorded plus any layer
+     * that only appears on findings (e.g. results from older validators)
+     */
+    getLayers(result) {
+        const layers = (result.layers || []).map(layer => ({ ...layer }));
+        const recorded = new Set(layers.map(layer => layer.id));
+
+        this.getFindings(result).forEach(finding => {
+            const id = finding.layer || ReportFormatter.UNKNOWN_LAYER;
+            if (recorded.has(id)) return;
+
+            let layer = layers.find(l => l.id === id);
+            if (!layer) {
+                layer = { id, name: id, status: 'passed', errors: 0, warnings: 0 };
+                layers.push(layer);
+            }
+            if (finding.severity === 'error') {
+                layer.errors++;
+                layer.status = 'failed';
+            } else {
+                layer.warnings++;
+            }
+        });
+
+        return layers;
+    }
+
+    groupBy(items, keyFn) {
+        const groups = new Map();
+        items.forEach(item => {
+            const key = keyFn(item);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        });
+        return groups;
+    }
+}
+
+ReportFormatter.FORMATS = ['text', 'json', 'junit', 'sarif'];
+ReportFormatter.JSON_SCHEMA_VERSION = 1;
+ReportFormatter.TOOL = { name: 'breadboard-circuit-validator', version: '1.0.0' };
+
+// Findings raised outside any layer (e.g. LIBRARY_LOAD_FAILED)
+ReportFormatter.UNKNOWN_LAYER = 'validator';
+
+// Make ReportFormatter globally available
+if (typeof window !== 'undefined') {
+    window.ReportFormatter = ReportFormatter;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportFormatter;
+}
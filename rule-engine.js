@@ -0,0 +1,504 @@
+// rule-engine.js
+// Declarative component rules - interprets the "validation.rules" block of component JSON
+
+/**
+ * RuleEngine - Runs the rules a component declares in its library JSON
+ *
+ * Each key in validation.rules that has a registered handler is a rule. The value is
+ * `true`, a parameter object, or an array of parameter objects. Keys without a
+ * handler (recommendedResistor, typicalUse, ...) are data the handlers read.
+ *
+ * Built-in rules:
+ *   requiredPins            { pins: [], error, message }
+ *   pinCount                { count, error, message }
+ *   pinNotOnRail            [{ pin, railType: "power"|"ground", error, message, fix }]
+ *   pinMustReach            [{ pin, target: "ground"|"source", error, message }]
+ *   requiresCurrentLimiting true - resistor on a pin's own signal net, value checked against recommendedResistor
+ *   requiresPullResistor    true - GPIO-side net needs recommendedPullResistor to GND/3V3
+ *   pinCapability           [{ capability: "pwmCapable", whenWire: [{ signal_type: "pwm" }], error, message }]
+ *   peripheralRoles         { roles: { "i2c-sda": "I2C{instance}_SDA", ... }, buses: [{ name, roles, required }] }
+ *                           - board pins are checked against the roles wired to them (see below)
+ *
+ * Messages may use placeholders: {component}, {name}, {pin}, {bus}, {target}
+ *
+ * A rule may carry a "fix" template (see CircuitValidator.applyFix), e.g.
+ *   { "action": "swap-pins", "pins": ["anode", "cathode"], "description": "Swap ... of {component}" }
+ * which is attached to the error with componentId filled in.
+ *
+ * Peripheral roles are what a board pin has to do for the parts on its net, declared by
+ *   - a wire:            "properties": { "role": "i2c-sda" }   (legacy signal_type "pwm" counts as "pwm")
+ *   - a part's pin:      "role": "uart-rx" in the library pin definition
+ *   - a part instance:   "properties": { "roles": { "SDA": "i2c-sda" } }
+ * PWM frequencies come from a wire's properties.frequency or a part's properties.pwmFrequency (Hz).
+ */
+class RuleEngine {
+    constructor(validator) {
+        this.validator = validator;
+        this.handlers = new Map();
+
+        Object.entries(BUILTIN_RULES).forEach(([ruleName, handler]) => {
+            this.register(ruleName, handler);
+        });
+    }
+
+    /**
+     * Register a rule handler
+     * @param {string} ruleName - Key used in validation.rules
+     * @param {Function} handler - async (params, context) => findings[]
+     */
+    register(ruleName, handler) {
+        this.handlers.set(ruleName, handler);
+    }
+
+    /**
+     * Run every declared rule for one component
+     * @param {Object} component - Component instance from circuit JSON
+     * @param {Object} componentDef - Library definition
+     * @param {Object} context - { circuit, netlist, graph, wireGraph }
+     * @returns {Array} Errors and warnings
+     */
+    async run(component, componentDef, context) {
+        const findings = [];
+        const rules = componentDef.validation?.rules || {};
+
+        for (const [ruleName, value] of Object.entries(rules)) {
+            const handler = this.handlers.get(ruleName);
+            if (!handler || value === false) continue;
+
+            const paramList = Array.isArray(value) ? value : [value === true ? {} : value];
+            const ruleContext = {
+                ...context,
+                component,
+                componentDef,
+                rules,
+                validator: this.validator,
+                engine: this
+            };
+
+            for (const params of paramList) {
+                findings.push(...await handler(params, ruleContext));
+            }
+        }
+
+        return findings;
+    }
+
+    /**
+     * Turn a rule's fix template into a fix object for this component
+     */
+    buildFix(template, component, vars) {
+        return {
+            ...template,
+            componentId: component.id,
+            description: this.formatMessage(template.description || `${template.action} on {component}`, vars)
+        };
+    }
+
+    /**
+     * Fill {placeholders} in a rule message
+     */
+    formatMessage(template, vars) {
+        return template.replace(/\{(\w+)\}/g, (match, key) =>
+            vars[key] !== undefined ? vars[key] : match
+        );
+    }
+}
+
+/**
+ * Rule handlers - each returns an array of findings in createError/createWarning shape
+ */
+const BUILTIN_RULES = {
+    async requiredPins(params, { component, componentDef, validator, engine }) {
+        const placement = component.placement || {};
+        const missing = (params.pins || []).filter(pin => !placement[pin]);
+        if (missing.length === 0) return [];
+
+        const message = params.message ||
+            `{name} must have ${params.pins.map(p => `"${p}"`).join(' and ')} pins defined in placement`;
+
+        return [validator.createError(params.error || 'MISSING_PIN_PLACEMENT', component.id,
+            engine.formatMessage(message, { component: component.id, name: componentDef.metadata?.name }),
+            { missingPins: missing }
+        )];
+    },
+
+    async pinCount(params, { component, componentDef, validator, engine }) {
+        const pins = Object.keys(component.placement || {});
+        if (pins.length === params.count) return [];
+
+        const message = params.message || `{name} must have exactly ${params.count} pins defined in placement`;
+
+        return [validator.createError(params.error || 'INVALID_PIN_COUNT', component.id,
+            engine.formatMessage(message, { component: component.id, name: componentDef.metadata?.name }),
+            { expected: params.count, actual: pins.length }
+        )];
+    },
+
+    async pinNotOnRail(params, { component, componentDef, validator, engine }) {
+        const holeId = component.placement?.[params.pin];
+        const bus = holeId ? validator.busMap.get(holeId) : null;
+        if (!bus) return [];
+
+        const onRail = validator.holes.some(h => h.bus === bus && h.type === params.railType);
+        if (!onRail) return [];
+
+        const message = params.message || `{name} pin "{pin}" must not be placed in a ${params.railType} rail`;
+        const vars = { component: component.id, name: componentDef.metadata?.name, pin: params.pin, bus };
+        const metadata = { pin: params.pin, bus };
+        if (params.fix) {
+            metadata.fix = engine.buildFix(params.fix, component, vars);
+        }
+
+        return [validator.createError(params.error || 'PIN_ON_WRONG_RAIL', component.id,
+            engine.formatMessage(message, vars),
+            metadata
+        )];
+    },
+
+    async pinMustReach(params, { component, componentDef, circuit, graph, netlist, validator, engine }) {
+        const holeId = component.placement?.[params.pin];
+        if (!holeId) return [];  // Reported by requiredPins
+
+        const bus = validator.busMap.get(holeId);
+        const reached = params.target === 'ground'
+            ? validator.netReachesGround(netlist.getNetForPin(`${component.id}.${params.pin}`), netlist, circuit, component.id)
+            : validator.pathToPowerSource(bus, graph, circuit).found;
+        if (reached) return [];
+
+        const defaultError = params.target === 'ground' ? 'NO_GROUND_PATH' : 'NO_SOURCE_PATH';
+        const message = params.message || '{name} pin "{pin}" does not have a path to {target}. Check wiring.';
+
+        return [validator.createError(params.error || defaultError, component.id,
+            engine.formatMessage(message, {
+                component: component.id,
+                name: componentDef.metadata?.name,
+                pin: params.pin,
+                bus,
+                target: params.target
+            }),
+            { pin: params.pin, bus }
+        )];
+    },
+
+    async requiresCurrentLimiting(params, { component, componentDef, rules, circuit, netlist, occupancy, validator, engine }) {
+        const buses = Object.values(component.placement || {})
+            .map(holeId => validator.busMap.get(holeId))
+            .filter(Boolean);
+
+        if (buses.length < 2) return [];  // Reported by requiredPins
+
+        // Series means a resistor lead on one of this part's own nets. Supply and ground
+        // nets are shared by everything (a pull-down on the GND rail is not in series)
+        const signalNets = Object.keys(component.placement)
+            .map(pin => netlist.getNetForPin(`${component.id}.${pin}`))
+            .filter(net => net && !net.pins.some(ref => validator.isGroundPin(ref, circuit) || validator.isSupplyPin(ref)));
+
+        const resistors = await validator.findComponentsByElectricalType(circuit, 'resistor');
+        const seriesResistors = resistors.filter(resistor =>
+            Object.keys(resistor.placement || {})
+                .some(pin => signalNets.includes(netlist.getNetForPin(`${resistor.id}.${pin}`)))
+        );
+
+        const vars = { component: component.id, name: componentDef.metadata?.name };
+
+        if (seriesResistors.length === 0) {
+            const pinNames = Object.keys(component.placement).join(' or ');
+            const message = params.message ||
+                `{name} has no current-limiting resistor in series. Connect a resistor to the ${pinNames} bus.`;
+
+            const fix = await validator.suggestSeriesResistorFix(component, rules.recommendedResistor, circuit, occupancy);
+
+            return [validator.createError(params.error || 'NO_SERIES_RESISTOR', component.id,
+                engine.formatMessage(message, vars),
+                { componentBuses: buses, resistorCount: resistors.length, ...(fix ? { fix } : {}) }
+            )];
+        }
+
+        const range = rules.recommendedResistor;
+        if (!range) return [];
+
+        const findings = [];
+        for (const resistor of seriesResistors) {
+            const resistorDef = await validator.loadComponent(resistor.type);
+            const resistance = resistor.properties?.resistance ?? resistorDef.properties?.resistance;
+
+            if (resistance && (resistance < range.min || resistance > range.max)) {
+                findings.push(validator.createWarning('SERIES_RESISTOR_OUT_OF_RANGE', component.id,
+                    `Series resistor ${resistor.id} is ${validator.formatResistance(resistance)}; ` +
+                    `${componentDef.metadata?.name || component.id} expects ${range.min}-${range.max}Ω`,
+                    { resistorId: resistor.id, resistance, min: range.min, max: range.max }
+                ));
+            }
+        }
+        return findings;
+    },
+
+    async requiresPullResistor(params, { component, rules, circuit, netlist, validator }) {
+        // Pico's internal pull declared on the part (properties.internalPull: "pull-up" / "pull-down")
+        if (component.properties?.internalPull) return [];
+
+        const warnings = [];
+
+        for (const pinName of Object.keys(component.placement || {})) {
+            const net = netlist.getNetForPin(`${component.id}.${pinName}`);
+            if (!net) continue;
+
+            const gpioPins = net.pins.filter(ref => validator.isGPIOPin(ref, circuit));
+            if (gpioPins.length === 0) continue;
+
+            if (await validator.hasPullResistor(net, circuit, netlist)) continue;
+
+            const recommended = rules.recommendedPullResistor || { value: 10000, type: 'pull-down' };
+            const gpioNames = gpioPins.map(ref => ref.split('.')[1]).join(', ');
+            const target = recommended.type === 'pull-up' ? '3V3' : 'GND';
+
+            warnings.push(validator.createWarning(params.warning || 'FLOATING_INPUT', component.id,
+                `Input ${gpioNames} has no pull resistor and will float while the switch is open. ` +
+                `Add a ${validator.formatResistance(recommended.value)} ${recommended.type} resistor to ${target}, ` +
+                `or set "internalPull" in the ${component.id} properties if the Pico's internal pull is enabled.`,
+                { pin: pinName, gpioPins, net: net.name, recommendedResistor: recommended.value, pullType: recommended.type }
+            ));
+        }
+
+        return warnings;
+    },
+
+    async pinCapability(params, { component, componentDef, circuit, validator, engine }) {
+        const errors = [];
+        const conditions = params.whenWire || [];
+        const prefix = `${component.id}.`;
+
+        const wires = circuit.wires.filter(w => w.from.startsWith(prefix) || w.to.startsWith(prefix));
+
+        for (const wire of wires) {
+            const applies = conditions.some(condition =>
+                Object.entries(condition).every(([key, value]) => wire.properties?.[key] === value)
+            );
+            if (!applies) continue;
+
+            const endpoint = wire.from.startsWith(prefix) ? wire.from : wire.to;
+            const pinName = endpoint.split('.')[1];
+            const pinDef = componentDef.pins?.[pinName];
+
+            if (pinDef && pinDef[params.capability] === false) {
+                const message = params.message || `Pin {pin} does not support ${params.capability}`;
+                errors.push(validator.createError(params.error || 'PIN_CAPABILITY', component.id,
+                    engine.formatMessage(message, { component: component.id, name: componentDef.metadata?.name, pin: pinName }),
+                    { pin: pinName, wireId: wire.id }
+                ));
+            }
+        }
+
+        return errors;
+    },
+
+    async peripheralRoles(params, { component, componentDef, circuit, netlist, validator }) {
+        const findings = [];
+        const roles = params.roles || {};
+        const claims = await collectRoleClaims(component.id, circuit, netlist, validator);
+        const boardPins = componentDef.pins || {};
+        const pinRef = pin => `${component.id}.${pin}`;
+
+        // Which hardware instance (I2C0, PWM slice 3, ...) serves each claim
+        const served = [];
+        claims.forEach(claim => {
+            const template = roles[claim.role];
+            if (!template) {
+                findings.push(validator.createError('UNKNOWN_PERIPHERAL_ROLE', claim.location,
+                    `Unknown role "${claim.role}" for ${claim.pin}. Known roles: ${Object.keys(roles).join(', ')}`,
+                    { pin: claim.pin, role: claim.role, wireId: claim.wireId, pins: [pinRef(claim.pin)] }
+                ));
+                return;
+            }
+
+            const match = findPeripheralFunction(boardPins[claim.pin], template);
+            if (match) {
+                served.push({ ...claim, ...match });
+                return;
+            }
+            if (claim.legacy) return;   // signal_type "pwm" on a non-PWM pin is pinCapability's INVALID_PWM_PIN
+
+            const candidates = Object.keys(boardPins).filter(pin => findPeripheralFunction(boardPins[pin], template));
+            const opposite = { 'uart-tx': 'uart-rx', 'uart-rx': 'uart-tx', 'spi-tx': 'spi-rx', 'spi-rx': 'spi-tx' }[claim.role];
+            const swapped = opposite && roles[opposite] && findPeripheralFunction(boardPins[claim.pin], roles[opposite]);
+            const hint = swapped
+                ? ` ${claim.pin} is ${swapped.function.replace('_', ' ')} - TX and RX look swapped.`
+                : ` Pins that can: ${candidates.join(', ') || 'none'}.`;
+
+            findings.push(validator.createError('PERIPHERAL_ROLE_UNSUPPORTED', claim.location,
+                `${claim.pin} cannot act as ${claim.role} (needed by ${claim.source}).${hint}`,
+                { pin: claim.pin, role: claim.role, wireId: claim.wireId, candidates, pins: [pinRef(claim.pin)] }
+            ));
+        });
+
+        // One pin, one job
+        groupClaims(served, claim => claim.pin).forEach((pinClaims, pin) => {
+            const pinRoles = [...new Set(pinClaims.map(claim => claim.role))];
+            if (pinRoles.length < 2) return;
+
+            findings.push(validator.createError('PERIPHERAL_ROLE_CONFLICT', pinClaims[1].location,
+                `${pin} is wired for ${pinRoles.join(' and ')} (${pinClaims.map(c => c.source).join(', ')}) - a pin can only do one at a time`,
+                { pin, roles: pinRoles, wireId: pinClaims[1].wireId, pins: [pinRef(pin)] }
+            ));
+        });
+
+        // Bus signals must come from the same instance (SDA and SCL both on I2C0, ...)
+        (params.buses || []).forEach(bus => {
+            const busClaims = served.filter(claim => bus.roles.includes(claim.role));
+            if (busClaims.length === 0) return;
+
+            const claimedRoles = new Set(busClaims.map(claim => claim.role));
+            const instances = [...new Set(busClaims.map(claim => claim.instance))];
+
+            const reported = new Set();
+            busClaims.forEach(claim => {
+                const missing = [...claimedRoles].filter(role => role !== claim.role &&
+                    !busClaims.some(other => other.role === role && other.instance === claim.instance));
+                if (missing.length === 0) return;
+
+                const partners = busClaims.filter(other => missing.includes(other.role));
+                const key = [claim, ...partners].map(c => c.pin).sort().join(',');
+                if (reported.has(key)) return;
+                reported.add(key);
+
+                findings.push(validator.createError(`${bus.name}_INSTANCE_MISMATCH`, claim.location,
+                    `${claim.pin} is ${claim.function} but ${partners.map(p => `${p.pin} is ${p.function}`).join(', ')} - ` +
+                    `${bus.name} signals must all come from the same ${bus.name} instance`,
+                    { pin: claim.pin, role: claim.role, instance: claim.instance, wireId: claim.wireId,
+                      pins: [claim, ...partners].map(c => pinRef(c.pin)) }
+                ));
+            });
+
+            instances.forEach(instance => {
+                const onInstance = busClaims.filter(claim => claim.instance === instance);
+                const missing = (bus.required || []).filter(role => !onInstance.some(claim => claim.role === role));
+                if (missing.length === 0 || missing.some(role => claimedRoles.has(role))) return;
+
+                findings.push(validator.createWarning('PERIPHERAL_BUS_INCOMPLETE', onInstance[0].location,
+                    `${bus.name}${instance} uses ${onInstance.map(c => `${c.pin} (${c.role})`).join(', ')} but nothing is wired as ${missing.join(', ')}`,
+                    { bus: `${bus.name}${instance}`, missing, wireId: onInstance[0].wireId,
+                      pins: onInstance.map(c => pinRef(c.pin)) }
+                ));
+            });
+        });
+
+        // PWM: a channel drives one signal; both channels of a slice share one frequency
+        const pwmClaims = served.filter(claim => claim.role === 'pwm');
+
+        groupClaims(pwmClaims, claim => `${claim.instance}${claim.channel}`).forEach((channelClaims, channel) => {
+            const pins = [...new Set(channelClaims.map(claim => claim.pin))];
+            if (pins.length < 2) return;
+
+            findings.push(validator.createWarning('PWM_CHANNEL_SHARED', channelClaims[1].location,
+                `${pins.join(' and ')} are both PWM channel ${channel} - they will always output the same signal. ` +
+                'Move one to a pin on another channel.',
+                { channel, pin: pins[1], wireId: channelClaims[1].wireId, pins: pins.map(pinRef) }
+            ));
+        });
+
+        groupClaims(pwmClaims.filter(claim => claim.frequency), claim => claim.instance).forEach((sliceClaims, slice) => {
+            const frequencies = [...new Set(sliceClaims.map(claim => claim.frequency))];
+            if (frequencies.length < 2) return;
+
+            findings.push(validator.createError('PWM_FREQUENCY_CONFLICT', sliceClaims[1].location,
+                `PWM slice ${slice} is shared by ${sliceClaims.map(c => `${c.pin} (${c.frequency}Hz)`).join(' and ')} - ` +
+                'both channels of a slice run at the same frequency. Move one to another slice.',
+                { slice: Number(slice), frequencies, pin: sliceClaims[1].pin, wireId: sliceClaims[1].wireId,
+                  pins: [...new Set(sliceClaims.map(c => pinRef(c.pin)))] }
+            ));
+        });
+
+        return findings;
+    }
+};
+
+/**
+ * Roles the circuit asks of each board pin, from wires and parts on the pin's net
+ * @returns {Array} [{ pin, role, source, location, wireId?, frequency? }] - one per pin and role
+ */
+async function collectRoleClaims(boardId, circuit, netlist, validator) {
+    const claims = [];
+    const prefix = `${boardId}.`;
+
+    for (const net of netlist.nets) {
+        const boardPins = net.pins.filter(ref => ref.startsWith(prefix)).map(ref => ref.slice(prefix.length));
+        if (boardPins.length === 0) continue;
+
+        const declared = [];
+
+        net.wires.forEach(wireId => {
+            const wire = circuit.wires.find(w => w.id === wireId);
+            const legacy = !wire?.properties?.role && wire?.properties?.signal_type === 'pwm';
+            const role = legacy ? 'pwm' : wire?.properties?.role;
+            if (role) {
+                declared.push({ role, legacy, source: `wire ${wireId}`, location: wireId, wireId, frequency: wire.properties.frequency });
+            }
+        });
+
+        for (const ref of net.pins) {
+            const [compId, pinName] = ref.split('.');
+            const comp = circuit.components.find(c => c.id === compId);
+            if (!comp || compId === boardId) continue;
+
+            let role = comp.properties?.roles?.[pinName];
+            if (!role) {
+                try {
+                    role = (await validator.loadComponent(comp.type)).pins?.[pinName]?.role;
+                } catch (error) {
+                    // Unknown types are reported by reference validation
+                }
+            }
+            if (role) {
+                declared.push({ role, source: ref, location: compId, frequency: comp.properties?.pwmFrequency });
+            }
+        }
+
+        boardPins.forEach(pin => {
+            declared.forEach(claim => {
+                if (!claims.some(c => c.pin === pin && c.role === claim.role && c.frequency === claim.frequency)) {
+                    claims.push({ ...claim, pin });
+                }
+            });
+        });
+    }
+
+    return claims;
+}
+
+/**
+ * Match a pin's functions against a role template like "I2C{instance}_SDA"
+ * @returns {Object|null} { function: "I2C0_SDA", instance: "0", channel? }
+ */
+function findPeripheralFunction(pinDef, template) {
+    const pattern = new RegExp('^' + template
+        .replace('{instance}', '(?<instance>\\d+)')
+        .replace('{channel}', '(?<channel>[AB])') + '$');
+
+    for (const fn of pinDef?.functions || []) {
+        const match = fn.match(pattern);
+        if (match) {
+            return { function: fn, instance: match.groups?.instance ?? '', channel: match.groups?.channel };
+        }
+    }
+    return null;
+}
+
+function groupClaims(claims, keyFn) {
+    const groups = new Map();
+    claims.forEach(claim => {
+        const key = keyFn(claim);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(claim);
+    });
+    return groups;
+}
+
+// Make RuleEngine globally available
+if (typeof window !== 'undefined') {
+    window.RuleEngine = RuleEngine;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleEngine;
+}
@@ -0,0 +1,95 @@
+/**
+ * Bill of Materials Export
+ *
+ * Counts the components and jumper wires of one or more circuit files (see bom-generator.js).
+ * Several files are merged into one kit total, e.g. for every lesson in a unit.
+ *
+ * Usage:
+ *   node scripts/export-bom.js circuits/sonnet_try_1.json > sonnet_try_1.csv
+ *   node scripts/export-bom.js --out=build/unit1-kit circuits/sonnet_*.json
+ *
+ * Without --out the CSV goes to stdout; --out=BASE writes BASE.csv and BASE.html.
+ * Exits with code 1 if a component type is not in the library (its row says "unknown").
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, createValidator } = require('./validate-circuit');
+
+/**
+ * Build the BOM for a set of circuit files (merged when there are several)
+ * @returns {Object} { bom, csv, html }
+ */
+async function exportBom(filePaths, title) {
+    const BomGenerator = require(path.join(ROOT, 'bom-generator.js'));
+    const validator = createValidator();
+    const generator = new BomGenerator();
+
+    const saved = console.log;
+    console.log = () => {};
+    try {
+        if (!await validator.init()) {
+            throw new Error('Failed to load component library');
+        }
+
+        const boms = [];
+        for (const filePath of filePaths) {
+            const circuit = JSON.parse(fs.readFileSync(filePath, 'utf8')).circuit;
+            const componentDefs = await validator.loadComponentDefinitions(circuit);
+            const jumpers = await validator.measureWires(circuit);
+            boms.push(generator.build(circuit, componentDefs, jumpers, path.basename(filePath, '.json')));
+        }
+
+        const bom = boms.length === 1 ? boms[0] : generator.merge(boms, title);
+        return { bom, csv: generator.toCSV(bom), html: generator.toHTML(bom) };
+    } finally {
+        console.log = saved;
+    }
+}
+
+// ============================================================
+// CLI INTERFACE
+// ============================================================
+
+async function main() {
+    const args = process.argv.slice(2);
+    const outArg = args.find(arg => arg.startsWith('--out='));
+    const files = args.filter(arg => !arg.startsWith('--'));
+
+    if (files.length === 0 || args.some(arg => arg.startsWith('--') && arg !== outArg)) {
+        console.error('Usage: node scripts/export-bom.js [--out=basename] <circuit.json> [more.json ...]');
+        console.error('');
+        console.error('Examples:');
+        console.error('  node scripts/export-bom.js circuits/sonnet_try_1.json > sonnet_try_1.csv');
+        console.error('  node scripts/export-bom.js --out=build/unit1-kit circuits/sonnet_*.json');
+        process.exit(2);
+    }
+
+    const base = outArg && outArg.slice('--out='.length);
+    const title = base ? path.basename(base) : files.length === 1 ? path.basename(files[0], '.json') : 'bom';
+    const { bom, csv, html } = await exportBom(files, title);
+
+    if (base) {
+        fs.writeFileSync(`${base}.csv`, csv);
+        fs.writeFileSync(`${base}.html`, html);
+
+        const count = rows => rows.reduce((sum, row) => sum + row.quantity, 0);
+        console.error(`✓ ${bom.sources.length} circuit(s): ${count(bom.parts)} component(s), ${count(bom.wires)} jumper wire(s)`);
+        console.error(`✓ Wrote ${base}.csv and ${base}.html`);
+    } else {
+        process.stdout.write(csv);
+    }
+
+    bom.unresolved.forEach(ref => console.error(`✗ Not in the component library: ${ref} - listed with value "unknown"`));
+    process.exit(bom.unresolved.length > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exit(2);
+    });
+}
+
+module.exports = { exportBom };
@@ -0,0 +1,80 @@
+/**
+ * KiCad Export
+ *
+ * Writes a circuit JSON file as a KiCad netlist (.net) and a basic schematic (.kicad_sch),
+ * using the symbol/footprint mapping in each component's rendering.kicad (see kicad-exporter.js).
+ *
+ * Usage:
+ *   node scripts/export-kicad.js circuits/sonnet_try_1.json
+ *   node scripts/export-kicad.js --out=build/traffic circuits/sonnet_traffic_light_V2.json
+ *
+ * Writes <out>.net and <out>.kicad_sch; --out defaults to the circuit file's name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, createValidator } = require('./validate-circuit');
+
+/**
+ * Build both KiCad files for one circuit file
+ * @returns {Object} { netlist, schematic } file contents
+ */
+async function exportKiCad(filePath) {
+    const KiCadExporter = require(path.join(ROOT, 'kicad-exporter.js'));
+    const validator = createValidator();
+    const circuit = JSON.parse(fs.readFileSync(filePath, 'utf8')).circuit;
+
+    const saved = console.log;
+    console.log = () => {};
+    try {
+        if (!await validator.init()) {
+            throw new Error('Failed to load component library');
+        }
+        const netlist = validator.buildNetlist(circuit);
+        const componentDefs = await validator.loadComponentDefinitions(circuit);
+        const exporter = new KiCadExporter({ title: path.basename(filePath, '.json') });
+
+        return {
+            netlist: exporter.buildNetlist(circuit, netlist, componentDefs),
+            schematic: exporter.buildSchematic(circuit, netlist, componentDefs)
+        };
+    } finally {
+        console.log = saved;
+    }
+}
+
+// ============================================================
+// CLI INTERFACE
+// ============================================================
+
+async function main() {
+    const args = process.argv.slice(2);
+    const outArg = args.find(arg => arg.startsWith('--out='));
+    const files = args.filter(arg => !arg.startsWith('--'));
+
+    if (files.length !== 1 || args.some(arg => arg.startsWith('--') && arg !== outArg)) {
+        console.error('Usage: node scripts/export-kicad.js [--out=basename] <circuit.json>');
+        console.error('');
+        console.error('Examples:');
+        console.error('  node scripts/export-kicad.js circuits/sonnet_try_1.json');
+        console.error('  node scripts/export-kicad.js --out=build/traffic circuits/sonnet_traffic_light_V2.json');
+        process.exit(2);
+    }
+
+    const base = outArg ? outArg.slice('--out='.length) : path.basename(files[0], '.json');
+    const { netlist, schematic } = await exportKiCad(files[0]);
+
+    fs.writeFileSync(`${base}.net`, netlist);
+    fs.writeFileSync(`${base}.kicad_sch`, schematic);
+    console.log(`✓ Wrote ${base}.net and ${base}.kicad_sch`);
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exit(2);
+    });
+}
+
+module.exports = { exportKiCad };
@@ -0,0 +1,109 @@
+/**
+ * SPICE Export
+ *
+ * Writes a circuit JSON file as a SPICE deck for ngspice, using the same nets and
+ * component library as the validator (see spice-exporter.js for the model).
+ *
+ * Usage:
+ *   node scripts/export-spice.js circuits/sonnet_try_1.json
+ *   node scripts/export-spice.js --out=traffic.cir --gpio=GP14=0 circuits/sonnet_traffic_light_V2.json
+ *   node scripts/export-spice.js --pressed=btn1 circuits/sonnet_three_LED_plus_button.json | ngspice -b
+ *
+ * --gpio=PIN=VOLTS sets a GPIO source (repeatable; "none" leaves the pin undriven),
+ * --pressed=ID closes a switch (repeatable). Without --out the deck goes to stdout.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, createValidator } = require('./validate-circuit');
+
+/**
+ * Build the deck for one circuit file
+ * @param {Object} options - { gpio, pressed } passed to SpiceExporter
+ */
+async function exportSpice(filePath, options = {}) {
+    const SpiceExporter = require(path.join(ROOT, 'spice-exporter.js'));
+    const validator = createValidator();
+    const circuitJSON = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const circuit = circuitJSON.circuit;
+
+    const saved = console.log;
+    console.log = () => {};
+    try {
+        if (!await validator.init()) {
+            throw new Error('Failed to load component library');
+        }
+        const netlist = validator.buildNetlist(circuit);
+        const componentDefs = await validator.loadComponentDefinitions(circuit);
+        return new SpiceExporter(options).build(circuit, netlist, componentDefs);
+    } finally {
+        console.log = saved;
+    }
+}
+
+// ============================================================
+// CLI INTERFACE
+// ============================================================
+
+function parseArgs(args) {
+    const options = { gpio: {}, pressed: [] };
+    let out = null;
+    const files = [];
+
+    args.forEach(arg => {
+        if (arg.startsWith('--out=')) {
+            out = arg.slice('--out='.length);
+        } else if (arg.startsWith('--gpio=')) {
+            const [pin, value] = arg.slice('--gpio='.length).split('=');
+            const voltage = value === 'none' ? null : Number(value);
+            if (!pin || Number.isNaN(voltage)) throw new Error(`Bad --gpio value "${arg}" (expected --gpio=GP15=3.3)`);
+            options.gpio[pin] = voltage;
+        } else if (arg.startsWith('--pressed=')) {
+            options.pressed.push(arg.slice('--pressed='.length));
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option "${arg}"`);
+        } else {
+            files.push(arg);
+        }
+    });
+
+    return { options, out, files };
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        parsed = null;
+    }
+
+    if (!parsed || parsed.files.length !== 1) {
+        console.error('Usage: node scripts/export-spice.js [--out=file.cir] [--gpio=GP15=0] [--pressed=btn1] <circuit.json>');
+        console.error('');
+        console.error('Examples:');
+        console.error('  node scripts/export-spice.js circuits/sonnet_try_1.json > sonnet_try_1.cir');
+        console.error('  node scripts/export-spice.js --out=traffic.cir --gpio=GP14=0 circuits/sonnet_traffic_light_V2.json');
+        process.exit(2);
+    }
+
+    const deck = await exportSpice(parsed.files[0], parsed.options);
+
+    if (parsed.out) {
+        fs.writeFileSync(parsed.out, deck);
+        console.error(`✓ SPICE deck written to ${parsed.out}`);
+    } else {
+        process.stdout.write(deck);
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exit(2);
+    });
+}
+
+module.exports = { exportSpice };
@@ -0,0 +1,91 @@
+/**
+ * Fritzing Import
+ *
+ * Converts a Fritzing sketch (.fz or .fzz) into circuit JSON, mapping parts through each
+ * component's rendering.fritzing (see fritzing-importer.js). Parts that can't be mapped
+ * are listed on stderr.
+ *
+ * Usage:
+ *   node scripts/import-fritzing.js lesson3.fzz > circuits/lesson3.json
+ *   node scripts/import-fritzing.js --out=circuits/lesson3.json lesson3.fzz
+ *
+ * Exits with code 1 if any part was left out, so batch conversions can flag them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, createValidator } = require('./validate-circuit');
+
+/**
+ * Convert one sketch file
+ * @returns {Object} { circuitJSON, unmapped, warnings }
+ */
+async function importFritzing(filePath) {
+    global.ZipStore = require(path.join(ROOT, 'zip-store.js'));
+    global.FritzingExporter = require(path.join(ROOT, 'fritzing-exporter.js'));
+    const FritzingImporter = require(path.join(ROOT, 'fritzing-importer.js'));
+    const validator = createValidator();
+
+    const saved = { log: console.log, warn: console.warn };
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        if (!await validator.init()) {
+            throw new Error('Failed to load component library');
+        }
+        const library = new Map();
+        for (const type of Object.keys(validator.componentLibrary.index)) {
+            library.set(type, await validator.loadComponent(type));
+        }
+
+        const importer = new FritzingImporter(validator.holes);
+        return await importer.read(fs.readFileSync(filePath), library, path.basename(filePath));
+    } finally {
+        console.log = saved.log;
+        console.warn = saved.warn;
+    }
+}
+
+// ============================================================
+// CLI INTERFACE
+// ============================================================
+
+async function main() {
+    const args = process.argv.slice(2);
+    const outArg = args.find(arg => arg.startsWith('--out='));
+    const files = args.filter(arg => !arg.startsWith('--'));
+
+    if (files.length !== 1 || args.some(arg => arg.startsWith('--') && arg !== outArg)) {
+        console.error('Usage: node scripts/import-fritzing.js [--out=circuit.json] <sketch.fz|sketch.fzz>');
+        console.error('');
+        console.error('Examples:');
+        console.error('  node scripts/import-fritzing.js lesson3.fzz > circuits/lesson3.json');
+        console.error('  node scripts/import-fritzing.js --out=circuits/lesson3.json lesson3.fzz');
+        process.exit(2);
+    }
+
+    const { circuitJSON, unmapped, warnings } = await importFritzing(files[0]);
+    const json = JSON.stringify(circuitJSON, null, 2) + '\n';
+
+    if (outArg) {
+        const out = outArg.slice('--out='.length);
+        fs.writeFileSync(out, json);
+        console.error(`✓ Wrote ${out}`);
+    } else {
+        process.stdout.write(json);
+    }
+
+    warnings.forEach(warning => console.error(`⚠ ${warning}`));
+    unmapped.forEach(entry => console.error(`✗ Not imported: ${entry.title} (${entry.moduleIdRef}) - ${entry.reason}`));
+    process.exit(unmapped.length > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exit(2);
+    });
+}
+
+module.exports = { importFritzing };
@@ -0,0 +1,171 @@
+/**
+ * Headless Circuit Validator
+ *
+ * Runs the same CircuitValidator the browser panel uses, without a DOM:
+ * hole data comes from breadboard-data.js (default board position) and the
+ * component library is read from disk instead of fetched.
+ *
+ * Usage:
+ *   node scripts/validate-circuit.js circuits/*.json
+ *   node scripts/validate-circuit.js --verbose circuits/sonnet_try_1.json
+ *   node scripts/validate-circuit.js --format=junit circuits/*.json > results.xml
+ *   node scripts/validate-circuit.js --warn-pico-crossing circuits/sonnet_try_1.json
+ *
+ * Formats: text (default, generateReport), json, junit, sarif - see report-formatter.js.
+ * Exits with code 1 if any circuit has errors (2 for usage errors).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Project root (scripts/ lives one level below it)
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Run fn with console output suppressed (validator layers log progress)
+ */
+function quietly(fn, verbose = false) {
+    if (verbose) return fn();
+
+    const saved = { log: console.log, warn: console.warn, error: console.error, info: console.info };
+    console.log = console.warn = console.error = console.info = () => {};
+
+    const restore = () => Object.assign(console, saved);
+    try {
+        const result = fn();
+        if (result && typeof result.then === 'function') {
+            return result.finally(restore);
+        }
+        restore();
+        return result;
+    } catch (error) {
+        restore();
+        throw error;
+    }
+}
+
+/**
+ * Load the browser modules the validator needs and expose them as globals,
+ * the way <script> tags do in index.html
+ */
+function loadValidatorModules(verbose = false) {
+    return quietly(() => {
+        const { BREADBOARD_HOLES } = require(path.join(ROOT, 'breadboard-data.js'));
+        const { NetlistBuilder, Netlist } = require(path.join(ROOT, 'netlist.js'));
+
+        global.NetlistBuilder = NetlistBuilder;
+        global.Netlist = Netlist;
+        global.DCSolver = require(path.join(ROOT, 'dc-solver.js'));
+        global.RuleEngine = require(path.join(ROOT, 'rule-engine.js'));
+        global.FootprintChecker = require(path.join(ROOT, 'footprint-checker.js'));
+        global.PlacementRules = require(path.join(ROOT, 'placement-rules.js'));
+        global.ReportFormatter = require(path.join(ROOT, 'report-formatter.js'));
+        global.JSONSourceMap = require(path.join(ROOT, 'json-source-map.js'));
+        global.CircuitComparator = require(path.join(ROOT, 'circuit-comparator.js'));
+        global.CircuitDiff = require(path.join(ROOT, 'circuit-diff.js')).CircuitDiff;
+
+        const CircuitValidator = require(path.join(ROOT, 'circuit-validator.js'));
+        return { CircuitValidator, ReportFormatter: global.ReportFormatter, BREADBOARD_HOLES };
+    }, verbose);
+}
+
+/**
+ * Create a validator that reads library JSON from the project directory
+ * @param {Object} options - { verbose, warnPicoCrossing }
+ */
+function createValidator(options = {}) {
+    const { CircuitValidator, BREADBOARD_HOLES } = loadValidatorModules(options.verbose);
+
+    return new CircuitValidator(BREADBOARD_HOLES, {
+        warnPicoCrossing: options.warnPicoCrossing,
+        loadJSON: async relativePath => {
+            const filePath = path.join(ROOT, relativePath);
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        },
+        // Geometry scripts export their functions
+        loadScript: async relativePath => require(path.join(ROOT, relativePath))
+    });
+}
+
+/**
+ * Validate one circuit file; unreadable JSON is reported as a failed result
+ * @returns {Object} Report entry { source, result: { valid, errors, warnings, layers }, sourceMap }
+ */
+async function validateFile(validator, filePath, options = {}) {
+    const source = path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+
+    let sourceMap;
+    try {
+        sourceMap = global.JSONSourceMap.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        return {
+            source,
+            sourceMap: null,
+            result: {
+                valid: false,
+                errors: [validator.createError('INVALID_JSON', filePath, `Could not read circuit file: ${error.message}`,
+                    { layer: 'schema', pointer: '' })],
+                warnings: [],
+                layers: []
+            }
+        };
+    }
+
+    const result = await quietly(() => validator.validate(sourceMap.data), options.verbose);
+    return { source, result, sourceMap };
+}
+
+// ============================================================
+// CLI INTERFACE
+// ============================================================
+
+async function main() {
+    const args = process.argv.slice(2);
+    const verbose = args.includes('--verbose');
+    const warnPicoCrossing = args.includes('--warn-pico-crossing');
+    const formatArg = args.find(arg => arg.startsWith('--format='));
+    const format = formatArg ? formatArg.split('=')[1] : 'text';
+    const files = args.filter(arg => !arg.startsWith('--'));
+    const { ReportFormatter } = loadValidatorModules(verbose);
+
+    if (files.length === 0 || !ReportFormatter.FORMATS.includes(format)) {
+        console.error('Usage: node scripts/validate-circuit.js [--verbose] [--warn-pico-crossing] [--format=text|json|junit|sarif] <circuit.json> [more.json ...]');
+        console.error('');
+        console.error('Examples:');
+        console.error('  node scripts/validate-circuit.js circuits/*.json');
+        console.error('  node scripts/validate-circuit.js --verbose circuits/sonnet_try_1.json');
+        console.error('  node scripts/validate-circuit.js --format=sarif circuits/*.json > results.sarif');
+        process.exit(2);
+    }
+
+    const validator = createValidator({ verbose, warnPicoCrossing });
+    const entries = [];
+
+    for (const file of files) {
+        entries.push(await validateFile(validator, file, { verbose }));
+    }
+
+    const failed = entries.filter(entry => !entry.result.valid).length;
+    const formatter = new ReportFormatter();
+    console.log(formatter.format(format, entries, { validator }));
+
+    if (format === 'text') {
+        console.log(`\n${files.length - failed}/${files.length} circuits passed`);
+    }
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exit(2);
+    });
+}
+
+module.exports = {
+    ROOT,
+    createValidator,
+    validateFile,
+    loadValidatorModules
+};
@@ -0,0 +1,247 @@
+// spice-exporter.js
+// SPICE deck (.cir) export of an extracted netlist, for offline checks in ngspice
+
+/**
+ * SpiceExporter - Turns a circuit's nets into a SPICE deck
+ *
+ * Model (matches DCSolver where it can):
+ * - Every net is a node named after it; nets holding a Pico GND pin are node 0
+ * - GPIO outputs, 3V3_OUT, VBUS and VSYS are DC voltage sources, one per net, each set by a
+ *   .param so the deck can be edited by hand (V_GP15, V_3V3_OUT, ...)
+ * - GPIOs wired to a switch (or marked direction: "input") are inputs and left undriven
+ * - Resistors use their JSON resistance; LEDs share one diode model per type, fitted so the
+ *   LED drops its forwardVoltage at its typicalCurrent
+ * - Switches are open unless listed in `pressed`
+ * - An .options rshunt leak keeps floating nets solvable (DCSolver's gmin)
+ *
+ * Options:
+ *   gpio: { GP15: 0, GP14: 3.3 }  - voltage per GPIO (also drives pins that would be inputs);
+ *                                   null leaves an output undriven
+ *   pressed: ['btn1']             - switches modeled closed
+ */
+class SpiceExporter {
+    constructor(options = {}) {
+        this.options = {
+            gpio: {},
+            pressed: [],
+            gpioOutputVoltage: 3.3,
+            ledSeriesResistance: 10,    // Ω - DCSolver's ledOnResistance
+            ledSaturationCurrent: 1e-18, // A
+            switchOnResistance: 0.1,    // Ω
+            shuntResistance: 1e12,      // Ω - leak from every node to ground
+            analysis: '.op',
+            ...options
+        };
+    }
+
+    /**
+     * Build the deck
+     * @param {Object} circuit - The "circuit" object (metadata, components, wires)
+     * @param {Netlist} netlist - Nets from NetlistBuilder
+     * @param {Map} componentDefs - componentId -> component definition (library JSON "component"),
+     *   including preplaced parts such as pico1
+     * @returns {string} SPICE deck text
+     */
+    build(circuit, netlist, componentDefs) {
+        const nodes = this.assignNodes(netlist, componentDefs);
+        const nodeOf = ref => {
+            const net = netlist.getNetForPin(ref);
+            return net ? nodes.get(net.name) : null;
+        };
+
+        const lines = [
+            `* ${circuit.metadata?.name || 'Breadboard circuit'}`,
+            `* Exported from Breadboard Builder ${new Date().toISOString()}`,
+            '* Nodes are breadboard nets; node 0 is Pico GND',
+            ''
+        ];
+
+        const sources = this.buildSources(circuit, netlist, componentDefs, nodes);
+        lines.push('* Pico sources (edit the .param values to change pin voltages)');
+        if (sources.length === 0) lines.push('* (no driven pins)');
+        sources.forEach(source => {
+            if (source.sharedWith.length > 0) {
+                lines.push(`* ${source.name} also stands for ${source.sharedWith.join(', ')}`);
+            }
+            lines.push(`.param ${source.param}=${source.voltage}`);
+            lines.push(`${source.name} ${source.node} 0 {${source.param}}`);
+        });
+        lines.push('');
+
+        const models = new Map();
+        const parts = [];
+        const skipped = [];
+
+        (circuit.components || []).forEach(comp => {
+            const def = componentDefs.get(comp.id);
+            const type = def?.validation?.electricalType;
+            const pins = Object.keys(comp.placement || {});
+            const unplaced = pins.filter(pin => !nodeOf(`${comp.id}.${pin}`));
+
+            if (type === 'microcontroller') return;
+            if (unplaced.length > 0 || pins.length === 0) {
+                skipped.push(`${comp.id} (${comp.type}) - not on any net`);
+                return;
+            }
+
+            if (type === 'resistor') {
+                const resistance = comp.properties?.resistance ?? def.properties?.resistance;
+                if (!resistance || pins.length !== 2) {
+                    skipped.push(`${comp.id} (${comp.type}) - no resistance`);
+                    return;
+                }
+                parts.push(`${this.elementName('R', comp.id)} ${nodeOf(`${comp.id}.${pins[0]}`)} ` +
+                    `${nodeOf(`${comp.id}.${pins[1]}`)} ${resistance}`);
+            } else if (type === 'led') {
+                const forwardVoltage = def.validation.forwardVoltage ?? def.properties?.forwardVoltage;
+                if (forwardVoltage === undefined) {
+                    skipped.push(`${comp.id} (${comp.type}) - no forwardVoltage`);
+                    return;
+                }
+                const model = this.modelName(comp.type);
+                if (!models.has(model)) {
+                    models.set(model, this.diodeModel(model, forwardVoltage, def.validation.typicalCurrent));
+                }
+                parts.push(`${this.elementName('D', comp.id)} ${nodeOf(`${comp.id}.anode`)} ` +
+                    `${nodeOf(`${comp.id}.cathode`)} ${model}`);
+            } else if (type === 'switch') {
+                const [a, b] = pins.map(pin => nodeOf(`${comp.id}.${pin}`));
+                if (this.options.pressed.includes(comp.id)) {
+                    parts.push(`* ${comp.id} pressed`);
+                    parts.push(`${this.elementName('R', comp.id)} ${a} ${b} ${this.options.switchOnResistance}`);
+                } else {
+                    parts.push(`* ${comp.id} open between ${a} and ${b} (add it to pressed to close it)`);
+                }
+            } else {
+                skipped.push(`${comp.id} (${comp.type}) - no SPICE model for "${type}"`);
+            }
+        });
+
+        lines.push('* Components');
+        lines.push(...parts);
+        skipped.forEach(reason => lines.push(`* skipped ${reason}`));
+        lines.push('');
+
+        if (models.size > 0) {
+            lines.push('* LED models');
+            lines.push(...models.values());
+            lines.push('');
+        }
+
+        lines.push(`.options rshunt=${this.options.shuntResistance}`);
+        lines.push(this.options.analysis);
+        lines.push('.end');
+
+        console.log(`✓ SPICE deck: ${new Set(nodes.values()).size} node(s), ${sources.length} source(s), ${models.size} LED model(s)`);
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Net name -> SPICE node (0 for ground, otherwise the sanitized net name)
+     */
+    assignNodes(netlist, componentDefs) {
+        const nodes = new Map();
+        const used = new Set(['0']);
+
+        netlist.nets.forEach(net => {
+            const isGround = net.pins.some(ref => this.getPicoPin(ref, componentDefs)?.electricalType === 'ground');
+            if (isGround) {
+                nodes.set(net.name, '0');
+                return;
+            }
+
+            const base = net.name.replace(/[^A-Za-z0-9_]/g, '_');
+            let node = base;
+            for (let suffix = 2; used.has(node); suffix++) node = `${base}_${suffix}`;
+            used.add(node);
+            nodes.set(net.name, node);
+        });
+
+        return nodes;
+    }
+
+    /**
+     * One voltage source per driven net (the first pin drives it, like DCSolver)
+     * @returns {Array} [{ name, param, node, voltage, sharedWith: [] }]
+     */
+    buildSources(circuit, netlist, componentDefs, nodes) {
+        const inputs = new DCSolver().findInputPins(circuit, netlist, componentDefs);
+        const sources = [];
+
+        netlist.nets.forEach(net => {
+            if (nodes.get(net.name) === '0') return;
+
+            const driven = net.pins
+                .map(ref => ({ ref, voltage: this.pinVoltage(ref, componentDefs, inputs) }))
+                .filter(pin => pin.voltage !== null);
+            if (driven.length === 0) return;
+
+            const pinName = driven[0].ref.split('.')[1];
+            sources.push({
+                name: this.elementName('V', pinName),
+                param: `V_${pinName}`,
+                node: nodes.get(net.name),
+                voltage: driven[0].voltage,
+                sharedWith: driven.slice(1).map(pin => pin.ref)
+            });
+        });
+
+        return sources;
+    }
+
+    /**
+     * Voltage a Pico pin forces onto its net, or null if it doesn't drive it
+     */
+    pinVoltage(ref, componentDefs, inputs) {
+        const pinDef = this.getPicoPin(ref, componentDefs);
+        if (!pinDef) return null;
+
+        const pinName = ref.split('.')[1];
+        if (pinDef.electricalType === 'power') {
+            return pinDef.voltage ?? pinDef.nominalVoltage ?? null;
+        }
+        if (pinDef.electricalType !== 'gpio') return null;
+
+        if (pinName in this.options.gpio) return this.options.gpio[pinName];
+        if (inputs.has(ref)) return null;
+        const def = componentDefs.get(ref.split('.')[0]);
+        return def.validation.ioVoltage ?? this.options.gpioOutputVoltage;
+    }
+
+    getPicoPin(ref, componentDefs) {
+        const [compId, pinName] = ref.split('.');
+        const def = componentDefs.get(compId);
+        if (def?.validation?.electricalType !== 'microcontroller') return null;
+        return def.pins?.[pinName] || null;
+    }
+
+    /**
+     * Shockley diode fitted to the LED's datasheet point: Vf at the typical current,
+     * after the series resistance's drop
+     */
+    diodeModel(name, forwardVoltage, typicalCurrent = 0.01) {
+        const { ledSeriesResistance: rs, ledSaturationCurrent: is } = this.options;
+        const thermalVoltage = 0.025852;
+        const junctionVoltage = forwardVoltage - typicalCurrent * rs;
+        const n = junctionVoltage / (thermalVoltage * Math.log(typicalCurrent / is + 1));
+        return `* Vf ${forwardVoltage}V at ${typicalCurrent * 1000}mA\n.model ${name} D(IS=${is} N=${n.toFixed(3)} RS=${rs})`;
+    }
+
+    modelName(componentType) {
+        return `D_${componentType.replace(/[^A-Za-z0-9]/g, '_').toUpperCase()}`;
+    }
+
+    elementName(prefix, id) {
+        return `${prefix}${id.replace(/[^A-Za-z0-9_]/g, '_')}`;
+    }
+}
+
+// Make SpiceExporter globally available
+if (typeof window !== 'undefined') {
+    window.SpiceExporter = SpiceExporter;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpiceExporter;
+}
@@ -2,7 +2,8 @@
 
 /**
  * Test script for circuit validator
- * Run in browser console or Node.js
+ * Run in browser console. For Node.js use the headless CLI:
+ *   node scripts/validate-circuit.js circuits/test-valid-led-circuit.json
  */
 
 // Test with the example circuit
@@ -10,19 +11,16 @@ async function testValidator() {
     console.log('Loading circuit validator test...\n');
 
     // Initialize validator with breadboard data
-    const validator = new CircuitValidator(
-        COMPONENTS_LIBRARY || {}, // Will need to create this
-        BREADBOARD_HOLES
-    );
+    const validator = new CircuitValidator(BREADBOARD_HOLES);
 
     // Load example circuit
-    const response = await fetch('example_01.json');
+    const response = await fetch('circuits/test-valid-led-circuit.json');
     const circuitData = await response.json();
 
     console.log('Validating circuit:', circuitData.circuit.metadata.name);
 
     // Run validation
-    const result = validator.validate(circuitData);
+    const result = await validator.validate(circuitData);
 
     // Print report
     console.log('\n' + validator.generateReport(result));
@@ -2,6 +2,8 @@
         let validator;
         let loadedCircuit = null;
         let loadedFileName = '';
+        let loadedSource = '';
+        let lastResult = null;
         
         // Toggle validator panel
         function toggleValidatorPanel() {
@@ -80,7 +82,8 @@
             
             reader.onload = function(e) {
                 try {
-                    loadedCircuit = JSON.parse(e.target.result);
+                    loadedSource = e.target.result;
+                    loadedCircuit = JSONSourceMap.parse(loadedSource).data;
                     
                     document.getElementById('file-info').innerHTML = `
                         <div class="file-info">
@@ -92,6 +95,7 @@
                     `;
                     
                     document.getElementById('validate-btn').disabled = false;
+                    document.getElementById('diff-btn').disabled = false;
                 } catch (error) {
                     document.getElementById('file-info').innerHTML = `
                         <div class="error-item">
@@ -99,7 +103,9 @@
                         </div>
                     `;
                     loadedCircuit = null;
+                    loadedSource = '';
                     document.getElementById('validate-btn').disabled = true;
+                    document.getElementById('diff-btn').disabled = true;
                 }
             };
             
@@ -133,8 +139,24 @@
             }
         }
         
+        // Apply the fix attached to an error, then re-validate
+        async function applySuggestedFix(errorIndex) {
+            const fix = lastResult?.errors[errorIndex]?.fix;
+            if (!fix || !loadedCircuit) return;
+
+            try {
+                loadedCircuit = CircuitValidator.applyFix(loadedCircuit, fix);
+                loadedSource = JSON.stringify(loadedCircuit, null, 2);
+                console.log(`🔧 Applied fix: ${fix.description}`);
+                await validateLoadedCircuit();
+            } catch (error) {
+                alert(`Could not apply fix: ${error.message}`);
+            }
+        }
+        
         // Display validation results
         function displayResults(result, filename) {
+            lastResult = result;
             document.getElementById('results-section').style.display = 'block';
             
             // Status
@@ -183,9 +205,15 @@
                 let html = '<h3>🚫 Errors:</h3>';
                 result.errors.forEach((err, i) => {
                     html += `
-                        <div class="error-item">
+                        <div class="error-item" data-finding="errors-${i}" onclick="highlightFinding('errors', ${i})">
                             <strong>${i + 1}. [${err.type}] ${err.location}</strong>
                             <div>${err.message}</div>
+                            ${describeSourceLocation(err)}
+                            ${err.fix ? `
+                            <div class="fix-suggestion">
+                                <button onclick="event.stopPropagation(); applySuggestedFix(${i})" class="fix-btn">🔧 Fix it</button>
+                                <small>${err.fix.description}</small>
+                            </div>` : ''}
                         </div>
                     `;
                 });
@@ -200,9 +228,10 @@
                 let html = '<h3>⚠️ Warnings:</h3>';
                 result.warnings.forEach((warn, i) => {
                     html += `
-                        <div class="warning-item">
+                        <div class="warning-item" data-finding="warnings-${i}" onclick="highlightFinding('warnings', ${i})">
                             <strong>${i + 1}. [${warn.type}] ${warn.location}</strong>
                             <div>${warn.message}</div>
+                            ${describeSourceLocation(warn)}
                         </div>
                     `;
                 });
@@ -211,18 +240,150 @@
                 warningsDiv.innerHTML = '';
             }
             
+            // Circuit file with line numbers (findings highlight into it)
+            renderSourceViewer();
+            clearFindingHighlights();
+            
             // Full report
             const report = validator.generateReport(result);
             document.getElementById('full-report').textContent = report;
         }
         
+        // Source map of the loaded file text (re-parsed only when the text changes)
+        let sourceMapCache = { text: null, map: null };
+        function getSourceMap() {
+            if (!loadedSource) return null;
+            if (sourceMapCache.text !== loadedSource) {
+                try {
+                    sourceMapCache = { text: loadedSource, map: JSONSourceMap.parse(loadedSource) };
+                } catch (error) {
+                    sourceMapCache = { text: loadedSource, map: null };
+                }
+            }
+            return sourceMapCache.map;
+        }
+        
+        // "📍 line 19 · /circuit/components/0/placement/anode" under a finding
+        function describeSourceLocation(finding) {
+            if (finding.pointer === undefined) return '';
+            const located = getSourceMap()?.locate(finding.pointer);
+            const line = located ? `line ${located.line}` : 'file';
+            return `<div class="source-location">📍 ${line} · <code>${escapeHTML(finding.pointer || '/')}</code></div>`;
+        }
+        
+        function escapeHTML(text) {
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+        
+        // Render the loaded JSON with line numbers
+        function renderSourceViewer() {
+            const viewer = document.getElementById('source-viewer');
+            viewer.innerHTML = loadedSource.split('\n').map((text, i) => `
+                <div class="source-line" data-line="${i + 1}"><span class="line-no">${i + 1}</span>${escapeHTML(text) || ' '}</div>
+            `).join('');
+        }
+        
+        // Highlight a finding in the file viewer and on the breadboard at the same time
+        function highlightFinding(kind, index) {
+            const finding = lastResult?.[kind]?.[index];
+            if (!finding) return;
+            
+            clearFindingHighlights();
+            document.querySelector(`[data-finding="${kind}-${index}"]`)?.classList.add('selected');
+            
+            // File viewer
+            const located = getSourceMap()?.locate(finding.pointer);
+            if (located) {
+                document.getElementById('source-details').open = true;
+                for (let line = located.line; line <= located.endLine; line++) {
+                    document.querySelector(`.source-line[data-line="${line}"]`)?.classList.add('highlight');
+                }
+                document.querySelector(`.source-line[data-line="${located.line}"]`)
+                    ?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+            }
+            
+            // Breadboard holes and Pico pins
+            (finding.holeIds || []).forEach(holeId => {
+                document.querySelector(`[data-hole-id="${holeId}"]`)?.classList.add('validation-highlight');
+            });
+            (finding.pinIds || []).forEach(pinId => {
+                document.querySelector(`[data-pin-id="${pinId}"]`)?.classList.add('validation-highlight');
+            });
+        }
+        
+        function clearFindingHighlights() {
+            document.querySelectorAll('.validation-highlight, .source-line.highlight, [data-finding].selected').forEach(el => {
+                el.classList.remove('validation-highlight', 'highlight', 'selected');
+            });
+        }
+        
+        // Diff the loaded circuit against a newer version and draw it on the breadboard
+        let diffOverlay = null;
+        
+        document.getElementById('diff-file-input').addEventListener('change', function(e) {
+            const file = e.target.files[0];
+            if (!file || !loadedCircuit) return;
+            
+            const reader = new FileReader();
+            reader.onload = async function(event) {
+                try {
+                    const newer = JSONSourceMap.parse(event.target.result).data;
+                    const v = await initValidator();
+                    displayDiff(v.diffCircuits(loadedCircuit, newer), file.name);
+                } catch (error) {
+                    document.getElementById('diff-display').innerHTML = `
+                        <div class="error-item">❌ Could not diff ${escapeHTML(file.name)}: ${escapeHTML(error.message)}</div>
+                    `;
+                }
+                e.target.value = '';
+            };
+            reader.readAsText(file);
+        });
+        
+        function displayDiff(diff, newFileName) {
+            if (!diffOverlay) {
+                diffOverlay = new DiffOverlay(window.breadboardApp);
+            }
+            diffOverlay.render(diff);
+            
+            const items = diff.changes.map(change => `
+                <div class="diff-item diff-${change.type.toLowerCase().replace(/_/g, '-')}">
+                    <strong>${change.type.replace(/_/g, ' ').toLowerCase()}</strong>
+                    <div>${escapeHTML(change.message)}</div>
+                </div>
+            `).join('');
+            
+            document.getElementById('diff-display').innerHTML = `
+                <div class="diff-summary">
+                    <h3>🔀 ${escapeHTML(loadedFileName)} → ${escapeHTML(newFileName)}</h3>
+                    <small>${diff.changes.length} change(s) · old wires ghosted, new wires highlighted on the breadboard</small>
+                    <button onclick="clearDiff()" class="validator-btn secondary">Hide diff</button>
+                </div>
+                ${items || '<div class="file-info">No electrical changes</div>'}
+            `;
+        }
+        
+        function clearDiff() {
+            diffOverlay?.clear();
+            document.getElementById('diff-display').innerHTML = '';
+        }
+        
         // Clear results
         function clearResults() {
+            clearDiff();
             document.getElementById('results-section').style.display = 'none';
             document.getElementById('file-info').innerHTML = '';
+            document.getElementById('source-viewer').innerHTML = '';
+            clearFindingHighlights();
             loadedCircuit = null;
             loadedFileName = '';
+            loadedSource = '';
             document.getElementById('validate-btn').disabled = true;
+            document.getElementById('diff-btn').disabled = true;
             document.getElementById('file-input').value = '';
         }
         
@@ -237,7 +398,8 @@
                 if (!response.ok) {
                     throw new Error(`File not found: ${filename}`);
                 }
-                loadedCircuit = await response.json();
+                loadedSource = await response.text();
+                loadedCircuit = JSONSourceMap.parse(loadedSource).data;
                 loadedFileName = filename.split('/').pop();
                 
                 document.getElementById('file-info').innerHTML = `
@@ -250,6 +412,7 @@
                 `;
                 
                 document.getElementById('validate-btn').disabled = false;
+                document.getElementById('diff-btn').disabled = false;
             } catch (error) {
                 document.getElementById('file-info').innerHTML = `
                     <div class="error-item">
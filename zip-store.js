@@ -0,0 +1,181 @@
+// zip-store.js
+// Minimal ZIP archive support - stored writer for export bundles, reader for imports
+
+/**
+ * ZipStore - Packs files into a .zip without compression and reads them back
+ *
+ * Enough for Fritzing .fzz bundles: every entry is stored as-is with its CRC-32,
+ * names are UTF-8, and there are no directories, comments or ZIP64 records.
+ * The reader also inflates deflated entries (DecompressionStream), as Fritzing saves them.
+ *
+ *   const bytes = ZipStore.pack([{ name: 'sketch.fz', data: '<module ...>' }]);
+ *   const files = await ZipStore.unpack(bytes);
+ */
+class ZipStore {
+    /**
+     * @param {Array} files - [{ name, data: string | Uint8Array }]
+     * @returns {Uint8Array} The archive
+     */
+    static pack(files) {
+        const encoder = new TextEncoder();
+        const entries = files.map(file => {
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            return { name: encoder.encode(file.name), data, crc: ZipStore.crc32(data) };
+        });
+
+        const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+        const { time, date } = ZipStore.dosDateTime(new Date());
+
+        let offset = 0;
+        entries.forEach(entry => {
+            entry.offset = offset;
+            view.setUint32(offset, 0x04034b50, true);       // local file header
+            view.setUint16(offset + 4, 20, true);           // version needed (2.0)
+            view.setUint16(offset + 6, 0x0800, true);       // flags: UTF-8 names
+            view.setUint16(offset + 8, 0, true);            // method: stored
+            view.setUint16(offset + 10, time, true);
+            view.setUint16(offset + 12, date, true);
+            view.setUint32(offset + 14, entry.crc, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint32(offset + 22, entry.data.length, true);
+            view.setUint16(offset + 26, entry.name.length, true);
+            view.setUint16(offset + 28, 0, true);
+            bytes.set(entry.name, offset + 30);
+            bytes.set(entry.data, offset + 30 + entry.name.length);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+
+        const centralStart = offset;
+        entries.forEach(entry => {
+            view.setUint32(offset, 0x02014b50, true);       // central directory header
+            view.setUint16(offset + 4, 20, true);           // version made by
+            view.setUint16(offset + 6, 20, true);           // version needed
+            view.setUint16(offset + 8, 0x0800, true);
+            view.setUint16(offset + 10, 0, true);
+            view.setUint16(offset + 12, time, true);
+            view.setUint16(offset + 14, date, true);
+            view.setUint32(offset + 16, entry.crc, true);
+            view.setUint32(offset + 20, entry.data.length, true);
+            view.setUint32(offset + 24, entry.data.length, true);
+            view.setUint16(offset + 28, entry.name.length, true);
+            // extra length, comment length, disk, internal/external attributes: all 0
+            view.setUint32(offset + 42, entry.offset, true);
+            bytes.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        });
+
+        view.setUint32(offset, 0x06054b50, true);           // end of central directory
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, offset - centralStart, true);
+        view.setUint32(offset + 16, centralStart, true);
+
+        return bytes;
+    }
+
+    /**
+     * Read every file in an archive - stored or deflated entries (what Fritzing writes)
+     * @param {Uint8Array|ArrayBuffer} bytes - The archive
+     * @returns {Promise<Array>} [{ name, data: Uint8Array }]
+     */
+    static async unpack(bytes) {
+        const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const decoder = new TextDecoder();
+
+        // End of central directory: 22 bytes plus an optional comment of up to 64KB
+        let end = -1;
+        for (let i = data.length - 22; i >= Math.max(0, data.length - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('Not a zip archive (no end of central directory)');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        const files = [];
+
+        // Sizes come from the central directory - local headers may defer them to a data descriptor
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Corrupt zip central directory');
+            }
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(data.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue;
+
+            const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const raw = data.subarray(start, start + compressedSize);
+
+            if (method === 0) {
+                files.push({ name, data: raw });
+            } else if (method === 8) {
+                files.push({ name, data: await ZipStore.inflate(raw) });
+            } else {
+                throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+            }
+        }
+
+        return files;
+    }
+
+    static async inflate(raw) {
+        const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    static crc32(data) {
+        const table = ZipStore.crcTable || (ZipStore.crcTable = ZipStore.buildCrcTable());
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    static buildCrcTable() {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    }
+
+    /**
+     * MS-DOS time and date fields (2-second resolution, years from 1980)
+     */
+    static dosDateTime(when) {
+        return {
+            time: (when.getHours() << 11) | (when.getMinutes() << 5) | Math.floor(when.getSeconds() / 2),
+            date: ((when.getFullYear() - 1980) << 9) | ((when.getMonth() + 1) << 5) | when.getDate()
+        };
+    }
+}
+
+// Make ZipStore globally available
+if (typeof window !== 'undefined') {
+    window.ZipStore = ZipStore;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipStore;
+}